@@ -9,12 +9,12 @@ require.config({
 
 require([
   'src/TimingObject',
-  'src/SocketTimingProvider',
+  'src/SocketTimingProviderFactory',
   'woodman',
   'examples/browser/woodmanConfig',
   'examples/browser/WoodmanElementAppender'
 ], function (
-    TimingObject, SocketTimingProvider,
+    TimingObject, SocketTimingProviderFactory,
     woodman, woodmanConfig, ElementAppender) {
   // Use custom DOM element appender for Woodman
   woodman.registerAppender('ElementAppender', ElementAppender);
@@ -22,11 +22,8 @@ require([
   var logger = woodman.getLogger('main');
 
   logger.info('create timing object connected to socket...');
-  var timingProvider = new SocketTimingProvider(
-    'ws://' + document.location.host + '/example');
+  var timingProvider = null;
   var timing = new TimingObject();
-  timing.srcObject = timingProvider;
-  logger.info('create timing object connected to socket... done');
 
 
   var main = function () {
@@ -58,19 +55,24 @@ require([
 
 
   logger.info('add listener to "readystatechange" events...');
-  var run = false;
   timing.addEventListener('readystatechange', function (evt) {
     logger.info('readystatechange event', 'state=' + evt.value);
-    if (!run && evt.value === 'open') {
-      run = true;
-      main();
-    }
   });
   logger.info('add listener to "readystatechange" events... done');
 
-  if (timing.readyState === 'open') {
-    run = true;
-    main();
-  }
+
+  // The timing object needs to exist on the server before a timing provider
+  // may subscribe to it
+  SocketTimingProviderFactory.create(
+    'ws://' + document.location.host + '/example')
+    .then(function (provider) {
+      timingProvider = provider;
+      timing.srcObject = timingProvider;
+      logger.info('create timing object connected to socket... done');
+      main();
+    })
+    .catch(function (err) {
+      logger.error('could not create timing object', err);
+    });
 
 });
\ No newline at end of file
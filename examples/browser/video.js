@@ -9,15 +9,15 @@ require.config({
 
 require([
   'src/TimingObject',
-  'src/SocketTimingProvider',
+  'src/SocketTimingProviderFactory',
   'src/TimingMediaController',
   'src/StateVector',
   'woodman',
   'examples/browser/woodmanConfig',
   'examples/browser/WoodmanElementAppender'
 ], function (
-    TimingObject, SocketTimingProvider, TimingMediaController, StateVector,
-    woodman, woodmanConfig, ElementAppender) {
+    TimingObject, SocketTimingProviderFactory, TimingMediaController,
+    StateVector, woodman, woodmanConfig, ElementAppender) {
 
   /**********************************************************************
   No need to deal with time, position and velocity measures that are
@@ -125,11 +125,7 @@ require([
   Create the timing object associated with the online timing service
   **********************************************************************/
   logger.info('create timing object connected to socket...');
-  var timingProvider = new SocketTimingProvider(
-    'ws://' + document.location.host + '/video');
   var timing = new TimingObject();
-  timing.srcObject = timingProvider;
-  logger.info('create timing object connected to socket... done');
 
   logger.info('create controller...');
   var controller = new TimingMediaController(timing);
@@ -165,4 +161,18 @@ require([
     buttons.pause.disabled = false;
     buttons.stop.disabled = false;
   };
+
+
+  // The timing object needs to exist on the server before a timing provider
+  // may subscribe to it
+  SocketTimingProviderFactory.create(
+    'ws://' + document.location.host + '/video')
+    .then(function (provider) {
+      timing.srcObject = provider;
+      logger.info('create timing object connected to socket... done');
+      start();
+    })
+    .catch(function (err) {
+      logger.error('could not create timing object', err);
+    });
 });
\ No newline at end of file
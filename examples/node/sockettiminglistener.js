@@ -1,16 +1,15 @@
 var woodman = require('woodman');
 var woodmanConfig = require('./woodmanConfig');
 var TimingObject = require('../../src/TimingObject');
-var SocketTimingProvider = require('../../src/SocketTimingProvider');
+var SocketTimingProviderFactory =
+  require('../../src/SocketTimingProviderFactory');
 
 woodman.load(woodmanConfig);
 var logger = woodman.getLogger('main');
 
 logger.info('create timing object connected to socket...');
-var timingProvider = new SocketTimingProvider('ws://localhost:8080/example');
+var timingProvider = null;
 var timing = new TimingObject();
-timing.srcObject = timingProvider;
-logger.info('create timing object connected to socket... done');
 
 
 var main = function () {
@@ -37,3 +36,16 @@ timing.addEventListener('timeupdate', function () {
   logger.info('timeupdate event', timing.query());
 });
 logger.info('add listener to "timeupdate" events... done');
+
+
+// The timing object needs to exist on the server before a timing provider
+// may subscribe to it
+SocketTimingProviderFactory.create('ws://localhost:8080/example')
+  .then(function (provider) {
+    timingProvider = provider;
+    timing.srcObject = timingProvider;
+    logger.info('create timing object connected to socket... done');
+  })
+  .catch(function (err) {
+    logger.error('could not create timing object', err);
+  });
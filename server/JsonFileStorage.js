@@ -0,0 +1,148 @@
+/**
+ * @fileOverview Timing object storage that keeps records in a local JSON file.
+ *
+ * The whole file is re-written whenever a record changes. Writes are
+ * serialized and coalesced: changes that occur while the file is being
+ * written are saved in one go afterwards. The file is written to a temporary
+ * file first and then renamed, so that a crash cannot leave a truncated file
+ * behind.
+ *
+ * See MemoryStorage for the format of records.
+ */
+
+var woodman = require('woodman');
+var logger = woodman.getLogger('JsonFileStorage');
+
+var fs = require('fs');
+
+
+/**
+ * Creates a JSON file storage
+ *
+ * @class
+ * @param {String} filename The path to the JSON file
+ */
+var JsonFileStorage = function (filename) {
+  this.filename = filename;
+  this.records = {};
+
+  /**
+   * The promise that the ongoing write completes, and the promise that the
+   * next write completes if one is already scheduled
+   */
+  this.currentWrite = Promise.resolve();
+  this.nextWrite = null;
+
+  logger.info('created', 'filename=' + filename);
+};
+
+
+/**
+ * Loads the records from the JSON file. The storage is empty if the file
+ * does not exist.
+ *
+ * @function
+ * @returns {Promise} The promise to get the list of records
+ */
+JsonFileStorage.prototype.load = function () {
+  var self = this;
+  return new Promise(function (resolve, reject) {
+    fs.readFile(self.filename, 'utf8', function (err, data) {
+      if (err) {
+        if (err.code === 'ENOENT') {
+          logger.info('no storage file, start from scratch');
+          resolve([]);
+        }
+        else {
+          reject(err);
+        }
+        return;
+      }
+
+      try {
+        self.records = JSON.parse(data) || {};
+      }
+      catch (parseErr) {
+        reject(parseErr);
+        return;
+      }
+      logger.info('loaded records', 'nb=' + Object.keys(self.records).length);
+      resolve(Object.keys(self.records).map(function (id) {
+        return self.records[id];
+      }));
+    });
+  });
+};
+
+
+/**
+ * Saves the given record, replacing the record with the same ID if there
+ * is one.
+ *
+ * @function
+ * @param {Object} record The record to save
+ * @returns {Promise} The promise that the record was saved to disk
+ */
+JsonFileStorage.prototype.save = function (record) {
+  this.records[record.id] = JSON.parse(JSON.stringify(record));
+  logger.log('save record', 'id=' + record.id);
+  return this.write();
+};
+
+
+/**
+ * Removes the record with the given ID
+ *
+ * @function
+ * @param {String} id The ID of the record to remove
+ * @returns {Promise} The promise that the record was removed from disk
+ */
+JsonFileStorage.prototype.remove = function (id) {
+  delete this.records[id];
+  logger.log('remove record', 'id=' + id);
+  return this.write();
+};
+
+
+/**
+ * Writes the records to the JSON file once the ongoing write, if any, is over.
+ *
+ * @function
+ * @returns {Promise} The promise that the records were written to disk
+ */
+JsonFileStorage.prototype.write = function () {
+  var self = this;
+  if (this.nextWrite) {
+    return this.nextWrite;
+  }
+
+  var writeFile = function () {
+    self.nextWrite = null;
+    var data = JSON.stringify(self.records, null, 2);
+    var tmpFilename = self.filename + '.tmp';
+    return new Promise(function (resolve, reject) {
+      fs.writeFile(tmpFilename, data, 'utf8', function (err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        fs.rename(tmpFilename, self.filename, function (err) {
+          if (err) {
+            reject(err);
+            return;
+          }
+          logger.log('records written to disk');
+          resolve();
+        });
+      });
+    });
+  };
+
+  // Start writing when the ongoing write is over, whether it failed or not
+  this.nextWrite = this.currentWrite.then(writeFile, writeFile);
+  this.currentWrite = this.nextWrite;
+  return this.nextWrite;
+};
+
+
+module.exports = JsonFileStorage;
@@ -0,0 +1,83 @@
+/**
+ * @fileOverview Timing object storage that keeps records in memory.
+ *
+ * Records are lost when the server stops. This storage is mostly meant for
+ * testing purpose.
+ *
+ * A storage manages records that describe timing objects:
+ * {
+ *   id: 'ws://example.org/timing',
+ *   vector: { position, velocity, acceleration, timestamp },
+ *   range: { low, lowInclude, high, highInclude },
+ *   updates: [{ id, timestamp, vector }],
+ *   metadata: { created, modified }
+ * }
+ */
+
+var woodman = require('woodman');
+var logger = woodman.getLogger('MemoryStorage');
+
+
+/**
+ * Creates an in-memory storage
+ *
+ * @class
+ */
+var MemoryStorage = function () {
+  this.records = {};
+  logger.info('created');
+};
+
+
+/**
+ * Loads the records from the storage
+ *
+ * @function
+ * @returns {Promise} The promise to get the list of records
+ */
+MemoryStorage.prototype.load = function () {
+  var records = this.records;
+  return new Promise(function (resolve, reject) {
+    resolve(Object.keys(records).map(function (id) {
+      return JSON.parse(JSON.stringify(records[id]));
+    }));
+  });
+};
+
+
+/**
+ * Saves the given record, replacing the record with the same ID if there
+ * is one.
+ *
+ * @function
+ * @param {Object} record The record to save
+ * @returns {Promise} The promise that the record was saved
+ */
+MemoryStorage.prototype.save = function (record) {
+  var records = this.records;
+  return new Promise(function (resolve, reject) {
+    records[record.id] = JSON.parse(JSON.stringify(record));
+    logger.log('saved record', 'id=' + record.id);
+    resolve();
+  });
+};
+
+
+/**
+ * Removes the record with the given ID
+ *
+ * @function
+ * @param {String} id The ID of the record to remove
+ * @returns {Promise} The promise that the record was removed
+ */
+MemoryStorage.prototype.remove = function (id) {
+  var records = this.records;
+  return new Promise(function (resolve, reject) {
+    delete records[id];
+    logger.log('removed record', 'id=' + id);
+    resolve();
+  });
+};
+
+
+module.exports = MemoryStorage;
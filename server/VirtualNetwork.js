@@ -0,0 +1,329 @@
+/**
+ * @fileOverview In-memory network that connects WebSocket clients to the
+ * message handling of the timing server, without any actual socket.
+ *
+ * The network exposes a "WebSocket" constructor that may be given to socket
+ * timing provider objects (see the "WebSocket" option). Sockets created with
+ * it connect to the server in memory. Messages are delivered after a
+ * configurable latency, with some random jitter, and may get lost. Random
+ * numbers come from a seeded generator so that runs are reproducible.
+ *
+ * Deliveries are scheduled through the time module of the library. Combined
+ * with a virtual scheduler, this makes it possible to run the timing server
+ * and its clients in virtual time:
+ *
+ *   var time = require('../src/time');
+ *   var server = require('./server');
+ *   var scheduler = new time.VirtualScheduler();
+ *   time.setSource(scheduler);
+ *   server.reset();
+ *   var network = new VirtualNetwork({ latency: 20, jitter: 5 });
+ *   var provider = new SocketTimingProvider('ws://example.org/t', null, null,
+ *     { WebSocket: network.WebSocket });
+ *   scheduler.tick(1000).then(...);
+ *
+ * As with WebSockets, which run over TCP, messages sent on a link are
+ * received in order: jitter may delay a message, and the messages that
+ * follow it, but never lets it overtake the previous one.
+ */
+
+var woodman = require('woodman');
+var logger = woodman.getLogger('VirtualNetwork');
+
+var EventEmitter = require('events').EventEmitter;
+
+var time = require('../src/time');
+
+
+// Web Sockets ready state constants
+var CONNECTING = 0;
+var OPEN = 1;
+var CLOSING = 2;
+var CLOSED = 3;
+
+
+/**
+ * Returns a pseudo-random number generator seeded with the given value
+ * (Mulberry32)
+ *
+ * @function
+ * @private
+ * @param {Number} seed The seed
+ * @returns {function} A function that returns numbers between 0 and 1
+ */
+var createRandom = function (seed) {
+  var state = seed >>> 0;
+  return function () {
+    var t = 0;
+    state = (state + 0x6D2B79F5) >>> 0;
+    t = Math.imul(state ^ (state >>> 15), state | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+
+/**
+ * Creates the server end of a link, which behaves as a WebSocket connection
+ * accepted by the WebSocket server
+ *
+ * @class
+ * @private
+ * @param {Object} link The link between the client and the server
+ */
+var ServerConnection = function (link) {
+  EventEmitter.call(this);
+  this.link = link;
+  this.connected = true;
+  this.remoteAddress = 'virtual:' + link.id;
+};
+ServerConnection.prototype = Object.create(EventEmitter.prototype);
+
+
+/**
+ * Sends the given string to the client
+ *
+ * @function
+ * @param {String} data The string to send
+ */
+ServerConnection.prototype.sendUTF = function (data) {
+  this.link.deliverToClient(data);
+};
+
+
+/**
+ * Closes the connection
+ *
+ * @function
+ */
+ServerConnection.prototype.close = function () {
+  this.link.close();
+};
+
+
+/**
+ * Creates an in-memory network connected to the timing server
+ *
+ * @class
+ * @param {Object} options Network settings
+ * @param {Number} options.latency The one-way latency in ms (10 if null)
+ * @param {Number} options.jitter The maximum random delay in ms added to the
+ *   latency of each message (0 if null)
+ * @param {Number} options.loss The probability that a message gets lost,
+ *   between 0 and 1 (0 if null)
+ * @param {Number} options.seed The seed of the random number generator
+ *   (1 if null)
+ * @param {Object} options.server The server module whose "acceptConnection"
+ *   function handles new connections (server.js if null)
+ */
+var VirtualNetwork = function (options) {
+  var self = this;
+  options = options || {};
+
+  var random = createRandom(options.seed || 1);
+  var server = options.server || require('./server');
+
+  /**
+   * The links that are currently established, and the counter used to
+   * generate link IDs
+   */
+  var links = [];
+  var linkCounter = 0;
+
+  /**
+   * Network settings, which may be changed at any time
+   */
+  this.latency = (typeof options.latency === 'number') ? options.latency : 10;
+  this.jitter = options.jitter || 0;
+  this.loss = options.loss || 0;
+
+  /**
+   * Whether the server accepts new connections
+   */
+  this.online = true;
+
+
+  /**
+   * Helper function that sends the given message on the given queue of a
+   * link and calls "deliver" with it once it arrives. The message never
+   * arrives before the messages sent before it on the same queue.
+   */
+  var transmit = function (queue, data, deliver) {
+    var now = time.now();
+    var message = {
+      data: data,
+      due: now + self.latency + self.jitter * random()
+    };
+    if (queue.length > 0) {
+      message.due = Math.max(message.due, queue[queue.length - 1].due);
+    }
+    queue.push(message);
+    time.setTimeout(function () {
+      // The message may have been delivered along with a message that was
+      // sent after it and due at the same time
+      var position = queue.indexOf(message);
+      if (position === -1) {
+        return;
+      }
+      queue.splice(0, position + 1).forEach(function (arrived) {
+        deliver(arrived.data);
+      });
+    }, message.due - now);
+  };
+
+
+  /**
+   * Helper function that returns true when the next message should be lost
+   */
+  var isLost = function () {
+    return (self.loss > 0) && (random() < self.loss);
+  };
+
+
+  /**
+   * Creates a link between the given client socket and the server
+   *
+   * @function
+   * @private
+   */
+  var createLink = function (socket) {
+    var link = {
+      id: 0,
+      closed: false,
+      connection: null,
+      toServer: [],
+      toClient: []
+    };
+    linkCounter += 1;
+    link.id = linkCounter;
+
+    link.deliverToServer = function (data) {
+      if (link.closed || isLost()) {
+        return;
+      }
+      transmit(link.toServer, data, function (received) {
+        if (link.closed) {
+          return;
+        }
+        link.connection.emit('message', {
+          type: 'utf8',
+          utf8Data: received
+        });
+      });
+    };
+
+    link.deliverToClient = function (data) {
+      if (link.closed || isLost()) {
+        return;
+      }
+      transmit(link.toClient, data, function (received) {
+        if (link.closed || (socket.readyState !== OPEN)) {
+          return;
+        }
+        if (socket.onmessage) {
+          socket.onmessage({ data: received });
+        }
+      });
+    };
+
+    // Both ends see the link closed right away. That is not exactly what
+    // happens on a real network, but good enough to test reconnections.
+    link.close = function () {
+      if (link.closed) {
+        return;
+      }
+      link.closed = true;
+      links = links.filter(function (other) {
+        return other !== link;
+      });
+      if (link.connection) {
+        link.connection.connected = false;
+        link.connection.emit('close', 1000, 'closed');
+      }
+      socket.readyState = CLOSED;
+      if (socket.onclose) {
+        socket.onclose({ code: 1000 });
+      }
+    };
+
+    time.setTimeout(function () {
+      if (link.closed) {
+        return;
+      }
+      if (!self.online) {
+        logger.log('server offline, connection refused', 'link=' + link.id);
+        link.close();
+        return;
+      }
+      link.connection = new ServerConnection(link);
+      links.push(link);
+      server.acceptConnection(link.connection);
+      time.setTimeout(function () {
+        if (link.closed) {
+          return;
+        }
+        socket.readyState = OPEN;
+        if (socket.onopen) {
+          socket.onopen();
+        }
+      }, self.latency);
+    }, self.latency);
+
+    return link;
+  };
+
+
+  /**
+   * The WebSocket constructor bound to the network. Sockets only support the
+   * "onXXX" handlers, as the WebSocket client library used in Node.js.
+   *
+   * @class
+   * @param {String} url The Web socket URL (only used for logging)
+   */
+  this.WebSocket = function (url) {
+    var socket = this;
+    var link = null;
+
+    this.url = url;
+    this.readyState = CONNECTING;
+    this.onopen = null;
+    this.onclose = null;
+    this.onmessage = null;
+    this.onerror = null;
+
+    this.send = function (data) {
+      if (socket.readyState !== OPEN) {
+        throw new Error('WebSocket is not open');
+      }
+      link.deliverToServer(data);
+    };
+
+    this.close = function () {
+      if ((socket.readyState === CLOSING) || (socket.readyState === CLOSED)) {
+        return;
+      }
+      socket.readyState = CLOSING;
+      link.close();
+    };
+
+    link = createLink(this);
+    logger.log('socket created', 'url=' + url, 'link=' + link.id);
+  };
+
+
+  /**
+   * Drops all established connections at once, as when the server crashes
+   * or the network goes down.
+   *
+   * @function
+   */
+  this.disconnect = function () {
+    logger.info('drop all connections', 'nb=' + links.length);
+    links.slice().forEach(function (link) {
+      link.close();
+    });
+  };
+};
+
+
+module.exports = VirtualNetwork;
@@ -2,7 +2,14 @@
  * @fileOverview Basic Web socket server that can manage a set of timing objects
  *
  * To run the server from the root repository folder:
- *   node src/server.js
+ *   node server/server.js [delta] [--storage=file|memory] [--storage-file=path]
+ *
+ * Timing objects are persisted in a JSON file by default (timings.json in the
+ * server folder), and restored when the server starts.
+ *
+ * When the module is required instead of being run, the server does not
+ * listen to anything. Connections may then be handed over to it directly,
+ * see VirtualNetwork.
  */
 
 var woodman = require('woodman');
@@ -16,7 +23,13 @@ var path = require('path');
 var _ = require('underscore');
 
 var TimingObject = require('../src/TimingObject');
+var LocalTimingProvider = require('../src/LocalTimingProvider');
+var StateVector = require('../src/StateVector');
+var Interval = require('../src/Interval');
 var stringify = require('../src/utils').stringify;
+var time = require('../src/time');
+var MemoryStorage = require('./MemoryStorage');
+var JsonFileStorage = require('./JsonFileStorage');
 
 
 /**
@@ -32,6 +45,42 @@ var originIsAllowed = function (origin) {
 };
 
 
+/**
+ * Implement permission logic for updates
+ *
+ * @function
+ * @param {Connection} connection The connection that sent the update request
+ * @param {String} id The ID of the timing object to update
+ * @returns {Boolean} true when the connection may update the timing object
+ */
+var updateIsAllowed = function (connection, id) {
+  return true;
+};
+
+
+/**
+ * Sends an "error" message back to the client in reply to the given request
+ *
+ * @function
+ * @param {Connection} connection The connection that sent the request
+ * @param {Object} request The request received
+ * @param {String} error The error message
+ */
+var sendError = function (connection, request, error) {
+  if (!connection.connected) {
+    return;
+  }
+  connection.sendUTF(stringify({
+    type: 'error',
+    id: request.id,
+    requestId: request.requestId,
+    error: error
+  }));
+  logger.log('sent error', 'id=' + request.id,
+    'requestId=' + request.requestId, 'error=' + error);
+};
+
+
 /**
  * Return the content-type of a file from its extension
  */
@@ -49,17 +98,21 @@ var getContentType = function (name) {
 
 /**
  * Creates a "change" event listener that broadcasts the change to all
- * connected clients.
+ * clients that subscribed to the timing object.
  *
  * @function
- * @param {Object} msg The sync message received
- * @returns {Object} Object to send back to the client over the socket
+ * @param {String} id The ID of the timing object
+ * @returns {function} The "change" event listener
  */
 var getChangeListenerFor = function (id) {
   return function (evt) {
     var value = evt.value;
-    connections = connections || [];
-    if (connections.length === 0) {
+    var timing = timingAndConnections[id];
+    if (!timing) {
+      return;
+    }
+    saveTiming(id);
+    if (timing.connections.length === 0) {
       return;
     }
     var msg = stringify({
@@ -67,95 +120,258 @@ var getChangeListenerFor = function (id) {
       id: id,
       vector: value
     });
-    connections.forEach(function (connection) {
+    timing.connections.forEach(function (connection) {
       connection.sendUTF(msg);
     });
-    logger.log('broadcasted "change" event', 'id=' + id);
+    logger.log('broadcasted "change" event', 'id=' + id,
+      'nb=' + timing.connections.length);
   };
 };
 
 
+/**
+ * Sends the list of scheduled updates of the timing object with the given ID
+ * to all clients that subscribed to it, and saves the timing object.
+ *
+ * Clients apply scheduled updates on their own at the time they were
+ * scheduled for, so that they all switch at the same instant.
+ *
+ * @function
+ * @param {String} id The ID of the timing object
+ */
+var broadcastSchedule = function (id) {
+  var timing = timingAndConnections[id];
+  if (!timing) {
+    return;
+  }
+  saveTiming(id);
+  var msg = stringify({
+    type: 'schedule',
+    id: id,
+    updates: timing.timing.listScheduledUpdates()
+  });
+  timing.connections.forEach(function (connection) {
+    connection.sendUTF(msg);
+  });
+  logger.log('broadcasted scheduled updates', 'id=' + id,
+    'nb=' + timing.connections.length);
+};
 
-/**********************************************************************
-Main server loop
-**********************************************************************/
 
-// Load logger configuration
-woodman.load(woodmanConfig);
+/**
+ * Saves the timing object with the given ID to the storage
+ *
+ * @function
+ * @param {String} id The ID of the timing object
+ */
+var saveTiming = function (id) {
+  var timing = timingAndConnections[id];
+  timing.metadata.modified = Date.now();
+  storage.save({
+    id: id,
+    vector: timing.timing.query(),
+    range: timing.timing.range,
+    updates: timing.timing.listScheduledUpdates(),
+    metadata: timing.metadata
+  }).catch(function (err) {
+    logger.warn('could not save timing object', 'id=' + id, err);
+  });
+};
+
 
 /**
- * The common delta in ms that all connected clients should apply
- * to change messages received from the server (to improve synchronicity
- * among clients)
+ * Registers the timing object with the given ID, vector, range and metadata
+ *
+ * @function
+ * @param {String} id The ID of the timing object
+ * @param {StateVector} vector The vector of the timing object
+ * @param {Object} range The range of the timing object
+ * @param {Object} metadata The metadata of the timing object
+ * @returns {Object} The timing object, the local timing provider that
+ *   manages its motion, and its list of subscribers
  */
-var delta = 0;
-if (process.argv.length > 2) {
-  try {
-    delta = parseInt(process.argv[2], 10);
-    logger.info('using delta... ' + delta);
-  }
-  catch (err) {
-    logger.warn('wrong delta argument passed on the command-line');
-  }
-}
+var registerTiming = function (id, vector, range, metadata) {
+  var timing = {
+    connections: [],
+    provider: new LocalTimingProvider(vector, range),
+    timing: new TimingObject(),
+    metadata: metadata,
+    onchange: getChangeListenerFor(id)
+  };
+  timing.timing.srcObject = timing.provider;
+  timing.timing.addEventListener('change', timing.onchange);
+  timingAndConnections[id] = timing;
+  return timing;
+};
 
-logger.info('create HTTP server...');
-var server = http.createServer(function (request, response) {
-  var filePath = null;
 
-  logger.info('received request for', request.url);
-  filePath = path.join(__dirname, '..', request.url);
-  fs.stat(filePath, function (err, stat) {
-    if (err) {
-      response.writeHead(404);
-      response.end();
-      return;
-    }
+/**
+ * Creates a timing object with the given ID, initial vector and range.
+ *
+ * The existing timing object is returned if there is already one with the
+ * given ID.
+ *
+ * @function
+ * @param {String} id The ID of the timing object
+ * @param {Object} vector The initial vector (position, velocity, acceleration)
+ * @param {Object} range The range of the timing object
+ * @param {Object} metadata Application metadata to attach to the object
+ * @returns {Object} The timing object and its list of subscribers
+ */
+var createTiming = function (id, vector, range, metadata) {
+  var timing = timingAndConnections[id];
+  if (timing) {
+    return timing;
+  }
 
-    response.writeHead(200, {
-      'Content-Type': getContentType(filePath),
-      'Content-Length': stat.size
-    });
+  // Timestamps sent by clients are meaningless on the server
+  vector = vector || {};
+  metadata = _.extend({}, metadata, {
+    created: Date.now()
+  });
+  timing = registerTiming(id, new StateVector({
+    position: vector.position,
+    velocity: vector.velocity,
+    acceleration: vector.acceleration
+  }), range, metadata);
+  saveTiming(id);
+  logger.info('created timing object', 'id=' + id);
+  return timing;
+};
 
-    var readStream = fs.createReadStream(filePath);
-    readStream.pipe(response);
+
+/**
+ * Restores a timing object from a storage record. Timestamps are expressed
+ * with the server clock, so the vector remains valid and the motion simply
+ * resumes where it would be had the server not been stopped. Scheduled
+ * updates are scheduled again with the IDs they had, which clients may
+ * still use to cancel them.
+ *
+ * @function
+ * @param {Object} record The storage record
+ * @returns {Object} The timing object and its list of subscribers
+ */
+var restoreTiming = function (record) {
+  logger.info('restore timing object', 'id=' + record.id);
+  var timing = registerTiming(
+    record.id,
+    new StateVector(record.vector),
+    record.range,
+    record.metadata || {});
+  (record.updates || []).forEach(function (update) {
+    timing.provider.scheduleUpdate(update.vector, update.timestamp,
+      update.id);
   });
-});
-server.listen(8080, function () {
-  logger.info('HTTP server is listening on port 8080');
-});
-logger.info('create HTTP server... done');
-
-logger.info('create WebSocket server...');
-var wsServer = new WebSocketServer({
-  httpServer: server,
-  autoAcceptConnections: false
-});
-var connections = [];
-logger.info('create WebSocket server... done');
+  return timing;
+};
 
-logger.info('load timing object storage...');
-logger.warn('TODO: implement proper storage with creation/deletion mechanism');
-var timingAndConnections = {};
-logger.info('load timing object storage... done');
 
+/**
+ * Stops listening to the given timing object and closes its local timing
+ * provider, which cancels its scheduled updates and its timers. Used when
+ * the timing object is dropped.
+ *
+ * @function
+ * @param {Object} timing The timing object and its list of subscribers
+ */
+var closeTiming = function (timing) {
+  timing.timing.removeEventListener('change', timing.onchange);
+  timing.provider.close();
+};
 
-wsServer.addListener('request', function (request) {
-  logger.log('connection request received', 'origin=' + request.origin);
-  if (!originIsAllowed(request.origin)) {
-    // Make sure we only accept requests from an allowed origin
-    request.reject();
-    logger.info('connection rejected', 'origin=' + request.origin);
-    return;
+
+/**
+ * Deletes the timing object with the given ID, notifying its subscribers
+ * with a "delete" message.
+ *
+ * @function
+ * @param {String} id The ID of the timing object
+ * @returns {Boolean} true if the timing object was deleted, false if it
+ *   does not exist
+ */
+var deleteTiming = function (id) {
+  var timing = timingAndConnections[id];
+  if (!timing) {
+    return false;
   }
 
-  var connection = request.accept('echo-protocol', request.origin);
+  delete timingAndConnections[id];
+  closeTiming(timing);
+  storage.remove(id).catch(function (err) {
+    logger.warn('could not remove timing object', 'id=' + id, err);
+  });
+  timing.connections.forEach(function (connection) {
+    connection.sendUTF(stringify({
+      type: 'delete',
+      id: id
+    }));
+  });
+  logger.info('deleted timing object', 'id=' + id,
+    'notified=' + timing.connections.length);
+  return true;
+};
+
+
+/**
+ * Sends an "info" message about the given timing object to the client
+ *
+ * @function
+ * @param {Connection} connection The connection to send the message to
+ * @param {String} id The ID of the timing object
+ * @param {Object} timing The timing object and its list of subscribers
+ */
+var sendInfo = function (connection, id, timing) {
+  connection.sendUTF(stringify({
+    type: 'info',
+    id: id,
+    vector: timing.timing.query(),
+    range: timing.timing.range,
+    updates: timing.timing.listScheduledUpdates()
+  }));
+  logger.log('sent timing info', 'id=' + id);
+};
+
+
+
+/**********************************************************************
+Connection handling
+**********************************************************************/
+
+/**
+ * The common delta in ms that all connected clients should apply
+ * to change messages received from the server (to improve synchronicity
+ * among clients)
+ */
+var delta = 0;
+
+/**
+ * The list of connections, the storage of timing objects, and the timing
+ * objects along with the connections that subscribed to them
+ */
+var connections = [];
+var storage = new MemoryStorage();
+var timingAndConnections = {};
+
+
+/**
+ * Handles the messages received on the given connection.
+ *
+ * The connection may be a WebSocket connection accepted by the WebSocket
+ * server or any object that behaves like one (e.g. to connect clients to
+ * the server in memory).
+ *
+ * @function
+ * @param {Connection} connection The connection to handle
+ */
+var acceptConnection = function (connection) {
   connections.push(connection);
-  logger.info('connection accepted', 'origin=' + request.origin);
 
   connection.addListener('message', function (message) {
+    // Timestamp the message as early as possible for sync requests
+    var received = time.now();
     var request = null;
     var timing = null;
+    var reply = null;
 
     if (message.type === 'utf8') {
       logger.info('received message', message.utf8Data);
@@ -170,73 +386,215 @@ wsServer.addListener('request', function (request) {
       timing = timingAndConnections[request.id];
 
       switch (request.type) {
+      case 'create':
+        // The client wants to create a timing object. The command succeeds
+        // if the timing object already exists.
+        try {
+          Interval.fromJSON(request.range);
+        }
+        catch (err) {
+          logger.warn('invalid range in create request',
+            'id=' + request.id, err.message);
+          sendError(connection, request, 'Invalid range');
+          break;
+        }
+        timing = createTiming(request.id, request.vector, request.range,
+          request.metadata);
+        connection.sendUTF(stringify({
+          type: 'ack',
+          id: request.id,
+          requestId: request.requestId,
+          vector: timing.timing.query(),
+          range: timing.timing.range
+        }));
+        break;
+
+      case 'delete':
+        // The client wants to delete a timing object. Subscribers get
+        // notified through a "delete" message.
+        if (!deleteTiming(request.id)) {
+          sendError(connection, request, 'Unknown timing object');
+          break;
+        }
+        connection.sendUTF(stringify({
+          type: 'ack',
+          id: request.id,
+          requestId: request.requestId
+        }));
+        break;
+
+      case 'list':
+        // The client wants the list of timing objects
+        connection.sendUTF(stringify({
+          type: 'ack',
+          id: request.id,
+          requestId: request.requestId,
+          ids: _.keys(timingAndConnections)
+        }));
+        break;
+
       case 'info':
         // The client wants detailed information about the timing object
-        // The command is also used to associate the Web socket connection
-        // with the timing object so that "change" events propagate to all
-        // connected clients
         if (!timing) {
-          logger.warn('TODO: implement timing create/destroy mechanism');
-          timing = {
-            connections: [],
-            timing: new TimingObject(),
-            onchange: getChangeListenerFor(request.id)
-          };
-          timing.timing.addEventListener('change', timing.onchange);
-          timingAndConnections[request.id] = timing;
+          sendError(connection, request, 'Unknown timing object');
+          break;
+        }
+        sendInfo(connection, request.id, timing);
+        break;
+
+      case 'subscribe':
+        // The client wants to receive "change" events about the timing
+        // object. The server replies with the timing object info. Timing
+        // objects must have been created beforehand.
+        if (!timing) {
+          sendError(connection, request, 'Unknown timing object');
+          break;
         }
-        timing.connections.push(connection);
-        logger.log('new connection to timing object',
+        if (!_.contains(timing.connections, connection)) {
+          timing.connections.push(connection);
+        }
+        logger.log('new subscriber to timing object',
           'id=' + request.id,
           'nb=' + timing.connections.length);
+        sendInfo(connection, request.id, timing);
+        break;
 
-        logger.warn('TODO: add extra properties once available (e.g. range)');
-        connection.sendUTF(stringify({
-          type: 'info',
-          id: request.id,
-          vector: timing.timing.query()
-        }));
-        logger.log('sent timing info', 'id=' + request.id);
+      case 'unsubscribe':
+        // The client no longer wants to receive "change" events about the
+        // timing object
+        if (timing) {
+          timing.connections = _.without(timing.connections, connection);
+          logger.log('subscriber left timing object',
+            'id=' + request.id,
+            'nb=' + timing.connections.length);
+        }
+        if (request.requestId) {
+          connection.sendUTF(stringify({
+            type: 'ack',
+            id: request.id,
+            requestId: request.requestId
+          }));
+        }
         break;
 
       case 'update':
         // The client wants to update the Timing Object's vector
         // Note that the update method will trigger a "change" event
         // and thus send the update back to all connected connections
-        // including the one that sent the initial request
+        // including the one that sent the initial request. The requester
+        // also receives an "ack" message with the vector actually applied.
+        // Updates that take effect at a given time are broadcasted right
+        // away through a "schedule" message, and the "ack" message contains
+        // the scheduled update.
         var vector = request.vector || {};
-        if (timing) {
-          timing.timing.update(
-            vector.position,
-            vector.velocity,
-            vector.acceleration);
-          logger.log('updated timing object', 'id=' + request.id);
-          logger.warn('TODO: send update ack back to requester?');
-        }
-        else {
+        if (!timing) {
           logger.warn('received an update request on unknown timing object',
-            'id=' + request.id, 'ignored');
+            'id=' + request.id);
+          sendError(connection, request, 'Unknown timing object');
+          break;
+        }
+        if (!updateIsAllowed(connection, request.id)) {
+          logger.warn('update request not allowed', 'id=' + request.id);
+          sendError(connection, request, 'Permission denied');
+          break;
+        }
+        if (typeof request.at === 'number') {
+          timing.timing.update(vector, { at: request.at }).then(
+            function (update) {
+              logger.log('scheduled update', 'id=' + request.id,
+                'updateId=' + update.id);
+              broadcastSchedule(request.id);
+              if (!connection.connected) {
+                return;
+              }
+              connection.sendUTF(stringify({
+                type: 'ack',
+                id: request.id,
+                requestId: request.requestId,
+                update: update
+              }));
+            },
+            function (err) {
+              logger.warn('could not schedule update',
+                'id=' + request.id, err);
+              sendError(connection, request, err.message);
+            });
+          break;
         }
+        timing.timing.update(
+          vector.position,
+          vector.velocity,
+          vector.acceleration).then(function (applied) {
+            logger.log('updated timing object', 'id=' + request.id);
+            if (!connection.connected) {
+              return;
+            }
+            connection.sendUTF(stringify({
+              type: 'ack',
+              id: request.id,
+              requestId: request.requestId,
+              vector: applied
+            }));
+          }, function (err) {
+            logger.warn('could not update timing object',
+              'id=' + request.id, err);
+            sendError(connection, request, err.message);
+          });
+        break;
+
+      case 'cancel':
+        // The client wants to cancel a scheduled update. All subscribers
+        // receive the new list of scheduled updates.
+        if (!timing) {
+          sendError(connection, request, 'Unknown timing object');
+          break;
+        }
+        if (!updateIsAllowed(connection, request.id)) {
+          logger.warn('cancel request not allowed', 'id=' + request.id);
+          sendError(connection, request, 'Permission denied');
+          break;
+        }
+        timing.timing.cancelScheduledUpdate(request.updateId).then(
+          function (update) {
+            logger.log('cancelled scheduled update', 'id=' + request.id,
+              'updateId=' + update.id);
+            broadcastSchedule(request.id);
+            if (!connection.connected) {
+              return;
+            }
+            connection.sendUTF(stringify({
+              type: 'ack',
+              id: request.id,
+              requestId: request.requestId,
+              update: update
+            }));
+          },
+          function (err) {
+            sendError(connection, request, err.message);
+          });
         break;
 
       case 'sync':
         // The client wants to synchronize its clock with that of the server
-        // NB: in this implementation, it's hard to measure the time taken to
-        // process the message. This would require digging into Web socket
-        // frames to record the time when the first byte is received.
-        var now = Date.now();
-        connection.sendUTF(stringify({
+        // NB: the message is timestamped when the "message" event fires,
+        // which does not include the time taken to receive the WebSocket
+        // frames. The reply is timestamped right before it is serialized
+        // and sent, without pretty-printing to keep that as short as
+        // possible.
+        reply = {
           type: 'sync',
           id: request.id,
           client: {
             sent: (request.client || {}).sent
           },
           server: {
-            received: now,
-            sent: now
+            received: received,
+            sent: 0
           },
           delta: delta
-        }));
+        };
+        reply.server.sent = time.now();
+        connection.sendUTF(JSON.stringify(reply));
         logger.log('sync message sent', 'id=' + request.id);
         break;
 
@@ -255,6 +613,7 @@ wsServer.addListener('request', function (request) {
     logger.info('peer disconnected', 'address=' + connection.remoteAddress);
     connection.removeAllListeners('message');
     connection.removeAllListeners('close');
+    connections = _.without(connections, connection);
     _.forEach(timingAndConnections, function (timingAndConnection) {
       if (_.contains(timingAndConnection.connections, connection)) {
         timingAndConnection.connections = _.without(
@@ -263,4 +622,150 @@ wsServer.addListener('request', function (request) {
       }
     });
   });
-});
+};
+
+
+/**
+ * Resets the state of the server, dropping all timing objects without
+ * notifying subscribers.
+ *
+ * This is meant to run the server in memory, e.g. in tests. Timing objects
+ * are stored in memory unless another storage is given.
+ *
+ * @function
+ * @param {Object} options Server settings
+ * @param {Number} options.delta The common delta in ms that clients should
+ *   apply (0 if null)
+ * @param {Object} options.storage The storage of timing objects (in memory
+ *   if null)
+ */
+var reset = function (options) {
+  options = options || {};
+  _.forEach(timingAndConnections, closeTiming);
+  timingAndConnections = {};
+  connections = [];
+  delta = options.delta || 0;
+  storage = options.storage || new MemoryStorage();
+};
+
+
+
+/**********************************************************************
+Main server loop
+**********************************************************************/
+
+/**
+ * Parses the command-line arguments, restores timing objects and starts to
+ * listen to HTTP and WebSocket connections on port 8080.
+ *
+ * @function
+ */
+var main = function () {
+  // Load logger configuration
+  woodman.load(woodmanConfig);
+
+  /**
+   * The storage type ("file" or "memory") and the path to the storage file
+   */
+  var storageType = 'file';
+  var storageFile = path.join(__dirname, 'timings.json');
+
+  process.argv.slice(2).forEach(function (arg) {
+    var match = arg.match(/^--([^=]+)=(.*)$/);
+    if (!match) {
+      delta = parseInt(arg, 10);
+      if (isNaN(delta)) {
+        logger.warn('wrong delta argument passed on the command-line');
+        delta = 0;
+      }
+      else {
+        logger.info('using delta... ' + delta);
+      }
+      return;
+    }
+    switch (match[1]) {
+    case 'storage':
+      storageType = match[2];
+      break;
+    case 'storage-file':
+      storageFile = path.resolve(match[2]);
+      break;
+    default:
+      logger.warn('unknown argument passed on the command-line', arg);
+    }
+  });
+
+  logger.info('create HTTP server...');
+  var server = http.createServer(function (request, response) {
+    var filePath = null;
+
+    logger.info('received request for', request.url);
+    filePath = path.join(__dirname, '..', request.url);
+    fs.stat(filePath, function (err, stat) {
+      if (err) {
+        response.writeHead(404);
+        response.end();
+        return;
+      }
+
+      response.writeHead(200, {
+        'Content-Type': getContentType(filePath),
+        'Content-Length': stat.size
+      });
+
+      var readStream = fs.createReadStream(filePath);
+      readStream.pipe(response);
+    });
+  });
+  logger.info('create HTTP server... done');
+
+  logger.info('create WebSocket server...');
+  var wsServer = new WebSocketServer({
+    httpServer: server,
+    autoAcceptConnections: false
+  });
+  logger.info('create WebSocket server... done');
+
+  logger.info('load timing object storage...');
+  storage = (storageType === 'memory') ?
+    new MemoryStorage() :
+    new JsonFileStorage(storageFile);
+  storage.load().then(function (records) {
+    records.forEach(restoreTiming);
+    logger.info('load timing object storage... done');
+
+    // Only start to accept connections once timing objects are restored
+    server.listen(8080, function () {
+      logger.info('HTTP server is listening on port 8080');
+    });
+  }).catch(function (err) {
+    logger.error('could not load timing object storage', err);
+    process.exit(1);
+  });
+
+
+  wsServer.addListener('request', function (request) {
+    logger.log('connection request received', 'origin=' + request.origin);
+    if (!originIsAllowed(request.origin)) {
+      // Make sure we only accept requests from an allowed origin
+      request.reject();
+      logger.info('connection rejected', 'origin=' + request.origin);
+      return;
+    }
+
+    var connection = request.accept('echo-protocol', request.origin);
+    logger.info('connection accepted', 'origin=' + request.origin);
+    acceptConnection(connection);
+  });
+};
+
+
+// Expose connection handling, to run the server in memory
+module.exports = {
+  acceptConnection: acceptConnection,
+  reset: reset
+};
+
+if (require.main === module) {
+  main();
+}
@@ -18,6 +18,48 @@ define(function (require) {
   var logger = woodman.getLogger('AbstractSyncClock');
 
   var EventTarget = require('event-target');
+  var time = require('./time');
+
+
+  /**
+   * The properties of the quality report of a synchronized clock
+   */
+  var qualityProperties = [
+    'errorBound',
+    'lastSync',
+    'acceptedSamples',
+    'rejectedSamples',
+    'roundtripMin',
+    'roundtripMedian'
+  ];
+
+
+  /**
+   * Creates a quality report from the given object, using defaults for
+   * missing properties.
+   *
+   * @function
+   * @private
+   * @param {Object} value The quality settings
+   * @returns {Object} The quality report
+   */
+  var createQuality = function (value) {
+    var quality = {};
+    value = value || {};
+    qualityProperties.forEach(function (property) {
+      if ((property === 'acceptedSamples') || (property === 'rejectedSamples')) {
+        quality[property] = value[property] || 0;
+      }
+      else if ((value[property] === undefined) || (value[property] === null)) {
+        quality[property] = null;
+      }
+      else {
+        quality[property] = value[property];
+      }
+    });
+    return quality;
+  };
+
 
   /**
    * Default constructor for a synchronized clock
@@ -45,9 +87,14 @@ define(function (require) {
     var readyState = 'connecting';
 
     /**
-     * Define the "readyState", "skew" and "delta" properties. Note that
-     * setting these properties may trigger "readystatechange" and "change"
-     * events.
+     * The quality of the synchronization with the reference clock
+     */
+    var quality = createQuality();
+
+    /**
+     * Define the "readyState", "skew", "delta" and "quality" properties. Note
+     * that setting these properties may trigger "readystatechange", "change"
+     * and "qualitychange" events.
      */
     Object.defineProperties(this, {
       readyState: {
@@ -62,7 +109,7 @@ define(function (require) {
             // listen to the initial change to "open" time to attach an event
             // listener (locally synchronized clocks typically set the
             // readyState property to "open" directly within the constructor)
-            setTimeout(function () {
+            time.setTimeout(function () {
               self.dispatchEvent({
                 type: 'readystatechange',
                 value: state
@@ -109,6 +156,46 @@ define(function (require) {
             });
           }
         }
+      },
+
+      /**
+       * The quality of the synchronization with the reference clock, an
+       * object with the following properties (null when unknown):
+       * - errorBound: the estimated maximum error of the clock, in ms (the
+       * time that the clock reports is within +/- errorBound of the time on
+       * the reference clock)
+       * - lastSync: the local time of the last successful synchronization
+       * with the reference clock, in ms
+       * - acceptedSamples: the number of sync samples used so far
+       * - rejectedSamples: the number of sync samples that were rejected
+       * so far (including requests that timed out)
+       * - roundtripMin: the minimum round trip duration observed, in ms
+       * - roundtripMedian: the median round trip duration of recent samples,
+       * in ms
+       *
+       * Setting the property triggers a "qualitychange" event if the quality
+       * changed.
+       */
+      quality: {
+        get: function () {
+          return quality;
+        },
+        set: function (value) {
+          var previousQuality = quality;
+          quality = createQuality(value);
+          if (qualityProperties.every(function (property) {
+            return previousQuality[property] === quality[property];
+          })) {
+            logger.log('quality updated, same as before');
+          }
+          else {
+            logger.log('quality updated, dispatch "qualitychange" event');
+            self.dispatchEvent({
+              type: 'qualitychange',
+              value: quality
+            });
+          }
+        }
       }
     });
   };
@@ -141,7 +228,7 @@ define(function (require) {
    * @returns {Number} The current timestamp 
    */
   SyncClock.prototype.now = function () {
-    return this.getTime(Date.now());
+    return this.getTime(time.now());
   };
 
   /**
@@ -0,0 +1,315 @@
+/**
+ * @file A timing converter is a timing provider object that exposes a view
+ * of the motion of a source timing object, transformed in some way.
+ *
+ * Timing converters can be set as the "srcObject" of another timing object,
+ * which then follows the transformed motion. Queries and "change" events of
+ * the source timing object are transformed automatically, and updates are
+ * translated back into updates of the source timing object.
+ *
+ * This is an abstract base class. Concrete implementations should derive
+ * this class and implement the "toDerivedVector", "toSourceVector" and
+ * "toDerivedRange" methods. Transformations must be linear in position,
+ * velocity and acceleration, and must not change timestamps.
+ */
+
+// Ensure "define" is defined in node.js in the absence of require.js
+// See: https://github.com/jrburke/amdefine
+if (typeof define !== 'function') {
+  var define = require('amdefine')(module);
+}
+
+define(function (require) {
+  var woodman = require('woodman');
+  var logger = woodman.getLogger('AbstractTimingConverter');
+
+  var AbstractTimingProvider = require('./AbstractTimingProvider');
+  var StateVector = require('./StateVector');
+  var isNumber = require('./utils').isNumber;
+
+
+  /**
+   * Creates a timing converter
+   *
+   * @class
+   * @param {TimingObject} timingObject The source timing object
+   * @param {Object} options Timing provider settings, see
+   *   AbstractTimingProvider
+   */
+  var AbstractTimingConverter = function (timingObject, options) {
+    var self = this;
+
+    AbstractTimingProvider.call(this, null, null, options);
+
+    /**
+     * The source timing object
+     */
+    this.timingObject = timingObject || null;
+    if (!timingObject) {
+      return;
+    }
+
+
+    /**
+     * Helper functions that propagate the events of the source timing
+     * object, once transformed
+     */
+    var changeListener = function () {
+      logger.log('source changed');
+      self.range = self.toDerivedRange(timingObject.range);
+      self.vector = self.toDerivedState(timingObject.query());
+    };
+
+    var readystatechangeListener = function () {
+      logger.log('source ready state changed',
+        'state=' + timingObject.readyState);
+      if (timingObject.readyState === 'open') {
+        changeListener();
+      }
+      self.readyState = timingObject.readyState;
+    };
+
+    var qualitychangeListener = function (evt) {
+      self.dispatchEvent({
+        type: 'qualitychange',
+        value: evt.value
+      });
+    };
+
+
+    /**
+     * The quality of the synchronization of the source timing object
+     */
+    Object.defineProperty(this, 'quality', {
+      get: function () {
+        return timingObject.quality || null;
+      }
+    });
+
+
+    /**
+     * Stops listening to the source timing object, used when the converter
+     * gets closed
+     *
+     * @function
+     */
+    this.stopListening = function () {
+      timingObject.removeEventListener('change', changeListener);
+      timingObject.removeEventListener('readystatechange',
+        readystatechangeListener);
+      timingObject.removeEventListener('qualitychange',
+        qualitychangeListener);
+    };
+
+    timingObject.addEventListener('change', changeListener);
+    timingObject.addEventListener('readystatechange',
+      readystatechangeListener);
+    timingObject.addEventListener('qualitychange', qualitychangeListener);
+    if (timingObject.readyState === 'open') {
+      changeListener();
+    }
+    this.readyState = timingObject.readyState;
+    logger.info('created');
+  };
+  AbstractTimingConverter.prototype = new AbstractTimingProvider();
+
+
+  /**
+   * Transforms a vector of the source timing object into a vector of the
+   * derived motion. Null values must remain null, so that the method also
+   * applies to partial vectors such as updates.
+   *
+   * @function
+   * @param {Object} vector The vector of the source timing object, with
+   *   "position", "velocity" and "acceleration" properties
+   * @returns {Object} The vector of the derived motion
+   */
+  AbstractTimingConverter.prototype.toDerivedVector = function (vector) {
+    throw new Error('Abstract "toDerivedVector" method called');
+  };
+
+
+  /**
+   * Transforms a vector of the derived motion into a vector of the source
+   * timing object. Null values must remain null.
+   *
+   * @function
+   * @param {Object} vector The vector of the derived motion
+   * @returns {Object} The vector of the source timing object
+   */
+  AbstractTimingConverter.prototype.toSourceVector = function (vector) {
+    throw new Error('Abstract "toSourceVector" method called');
+  };
+
+
+  /**
+   * Transforms the range of the source timing object into the range of the
+   * derived motion
+   *
+   * @function
+   * @param {Interval} range The range of the source timing object
+   * @returns {Interval} The range of the derived motion
+   */
+  AbstractTimingConverter.prototype.toDerivedRange = function (range) {
+    throw new Error('Abstract "toDerivedRange" method called');
+  };
+
+
+  /**
+   * Transforms a state vector of the source timing object into a state
+   * vector of the derived motion, with the same timestamp
+   *
+   * @function
+   * @param {StateVector} vector The state vector of the source timing object
+   * @returns {StateVector} The state vector of the derived motion
+   */
+  AbstractTimingConverter.prototype.toDerivedState = function (vector) {
+    var derived = this.toDerivedVector(vector);
+    return new StateVector({
+      position: derived.position,
+      velocity: derived.velocity,
+      acceleration: derived.acceleration,
+      timestamp: vector.timestamp
+    });
+  };
+
+
+  /**
+   * Transforms a scheduled update of the source timing object into a
+   * scheduled update of the derived motion
+   *
+   * @function
+   * @param {Object} update The scheduled update of the source timing object
+   * @returns {Object} The scheduled update of the derived motion
+   */
+  AbstractTimingConverter.prototype.toDerivedUpdate = function (update) {
+    return {
+      id: update.id,
+      timestamp: update.timestamp,
+      vector: this.toDerivedVector(update.vector)
+    };
+  };
+
+
+  /**
+   * Returns a new StateVector that represents the derived motion at the
+   * current local time.
+   *
+   * The source timing object is queried each time, so that the derived
+   * motion follows any adjustment that the source makes to its motion
+   * (e.g. clock adjustments for online timing objects).
+   *
+   * @function
+   * @returns {StateVector} The derived motion at the current local time
+   */
+  AbstractTimingConverter.prototype.query = function () {
+    var vector = this.toDerivedState(this.timingObject.query());
+    logger.log('query', vector);
+    return vector;
+  };
+
+
+  /**
+   * Returns a new StateVector that represents the derived motion at the
+   * given time, see AbstractTimingProvider.
+   *
+   * @function
+   * @param {Number} timestamp The time in seconds
+   * @param {String} timeline The timeline of the given time, either "local"
+   *   or "server" ("local" if null)
+   * @returns {StateVector} The derived motion at the given time
+   */
+  AbstractTimingConverter.prototype.queryAt = function (timestamp, timeline) {
+    var vector = this.toDerivedState(
+      this.timingObject.queryAt(timestamp, timeline));
+    logger.log('query at', 'timeline=' + (timeline || 'local'), vector);
+    return vector;
+  };
+
+
+  /**
+   * Updates the derived motion, translating the update into an update of
+   * the source timing object. Transitions and scheduled updates are handled
+   * by the source timing object.
+   *
+   * @function
+   * @param {Object} vector The new motion vector, see AbstractTimingProvider
+   * @param {Object} options Update settings, see AbstractTimingProvider
+   * @returns {Promise} The promise to get the updated derived motion, or the
+   *   scheduled update for updates that take effect at a given time
+   */
+  AbstractTimingConverter.prototype.update = function (vector, options) {
+    var self = this;
+    vector = vector || {};
+    logger.log('update',
+      '(position=' + vector.position +
+      ', velocity=' + vector.velocity +
+      ', acceleration=' + vector.acceleration + ')');
+    return this.timingObject.update(this.toSourceVector({
+      position: isNumber(vector.position) ? vector.position : null,
+      velocity: isNumber(vector.velocity) ? vector.velocity : null,
+      acceleration: isNumber(vector.acceleration) ?
+        vector.acceleration :
+        null
+    }), options).then(function (result) {
+      if (result instanceof StateVector) {
+        return self.toDerivedState(result);
+      }
+      else {
+        return self.toDerivedUpdate(result);
+      }
+    });
+  };
+
+
+  /**
+   * Returns the updates scheduled on the source timing object, transformed
+   *
+   * @function
+   * @returns {Array(Object)} The scheduled updates ordered by timestamp,
+   *   each with "id", "timestamp" and "vector" properties
+   */
+  AbstractTimingConverter.prototype.listScheduledUpdates = function () {
+    var self = this;
+    return this.timingObject.listScheduledUpdates().map(function (update) {
+      return self.toDerivedUpdate(update);
+    });
+  };
+
+
+  /**
+   * Cancels the scheduled update with the given ID on the source timing
+   * object
+   *
+   * @function
+   * @param {Number} id The ID of the scheduled update
+   * @returns {Promise} The promise that the update was cancelled
+   */
+  AbstractTimingConverter.prototype.cancelScheduledUpdate = function (id) {
+    var self = this;
+    return this.timingObject.cancelScheduledUpdate(id).then(
+      function (update) {
+        return self.toDerivedUpdate(update);
+      });
+  };
+
+
+  /**
+   * Closes the converter, which stops following the source timing object.
+   * The source timing object itself is left untouched.
+   *
+   * @function
+   */
+  AbstractTimingConverter.prototype.close = function () {
+    if ((this.readyState === 'closing') ||
+        (this.readyState === 'closed')) {
+      return;
+    }
+    this.stopListening();
+    AbstractTimingProvider.prototype.close.call(this);
+  };
+
+
+  // Expose the class to the outer world
+  return AbstractTimingConverter;
+});
@@ -20,6 +20,99 @@ define(function (require) {
   var EventTarget = require('event-target');
   var StateVector = require('./StateVector');
   var Interval = require('./Interval');
+  var time = require('./time');
+
+
+  /**
+   * Returns a vector whose position is clamped to the given range.
+   *
+   * The velocity and acceleration of the vector are preserved. The vector
+   * itself is returned if its position already lies within the range.
+   *
+   * @function
+   * @private
+   * @param {StateVector} vector The vector to clamp
+   * @param {Interval} range The range
+   * @returns {StateVector} The clamped vector
+   */
+  var clampToRange = function (vector, range) {
+    var position = range.clamp(vector.position);
+    if (position === vector.position) {
+      return vector;
+    }
+    return new StateVector({
+      position: position,
+      velocity: vector.velocity,
+      acceleration: vector.acceleration,
+      timestamp: vector.timestamp
+    });
+  };
+
+
+  /**
+   * Computes the time at which the motion described by the given vector
+   * leaves the given range, and the vector that describes the motion stopped
+   * at the range boundary at that time.
+   *
+   * @function
+   * @private
+   * @param {StateVector} vector The motion vector, whose position must lie
+   *   within the range
+   * @param {Interval} range The range
+   * @returns {Object} An object with "timestamp" and "vector" properties, null
+   *   if the motion never leaves the range
+   */
+  var computeRangeExit = function (vector, range) {
+    var exit = null;
+
+    // The motion is constrained to the range boundaries, which are thus
+    // part of the range
+    var closedRange = new Interval({
+      low: range.low,
+      lowInclude: true,
+      high: range.high,
+      highInclude: true
+    });
+
+    vector.computeCrossings(closedRange).some(function (crossing) {
+      if (crossing.type === 'enter') {
+        return false;
+      }
+      exit = {
+        timestamp: crossing.timestamp,
+        vector: new StateVector({
+          position: crossing.position,
+          velocity: 0.0,
+          acceleration: 0.0,
+          timestamp: crossing.timestamp
+        })
+      };
+      return true;
+    });
+    return exit;
+  };
+
+
+  /**
+   * Applies the given range to the given vector: positions outside of the
+   * range are clamped to the range and motions that immediately leave the
+   * range are stopped.
+   *
+   * @function
+   * @private
+   * @param {StateVector} vector The motion vector
+   * @param {Interval} range The range
+   * @returns {StateVector} The vector that complies with the range
+   */
+  var applyRange = function (vector, range) {
+    var exit = null;
+    vector = clampToRange(vector, range);
+    exit = computeRangeExit(vector, range);
+    if (exit && (exit.timestamp <= vector.timestamp)) {
+      return exit.vector;
+    }
+    return vector;
+  };
 
 
   /**
@@ -28,13 +121,106 @@ define(function (require) {
    * @class
    * @param {StateVector} vector The initial motion vector
    * @param {Interval} range The initial range if one is to be defined
+   * @param {Object} options Timing provider settings
+   * @param {Number} options.history The number of past vectors to keep, to
+   *   answer queries about times that fall before the latest change (0 if
+   *   null)
+   * @param {Number|Object} options.tolerance The tolerance below which a new
+   *   vector is considered to describe the same motion as the current one,
+   *   in which case no "change" event gets dispatched. See
+   *   StateVector.prototype.equals (StateVector.defaultTolerance if null)
    */
-  var AbstractTimingProvider = function (vector, range) {
-    this.range = new Interval(range);
-
-    var currentVector = new StateVector(vector);
+  var AbstractTimingProvider = function (vector, range, options) {
+    var currentRange = new Interval(range);
+    var currentVector = applyRange(new StateVector(vector), currentRange);
     var readyState = 'connecting';
     var self = this;
+
+    options = options || {};
+
+    /**
+     * The past vectors along with the range that applied to them, from the
+     * oldest to the most recent one
+     */
+    var historySize = options.history || 0;
+    var history = [];
+
+    /**
+     * The tolerance used to compare vectors
+     */
+    var tolerance = options.tolerance || null;
+
+    /**
+     * The ID of the timeout used to stop the motion when it reaches the
+     * boundaries of the range
+     */
+    var rangeTimeoutId = null;
+
+    /**
+     * The transition in progress, if any, see "transition"
+     */
+    var currentTransition = null;
+
+    /**
+     * Helper function that cancels the transition in progress when the
+     * motion changes to the given vector for some other reason than one of
+     * the steps of the transition, e.g. because another client updated the
+     * online timing object.
+     *
+     * Changes that steps cause may come in later on, e.g. when they are
+     * applied by a server. They are recognized by the values that steps set.
+     */
+    var cancelTransitionOnForeignChange = function (vector) {
+      var transition = currentTransition;
+      var pos = -1;
+      if (!transition || transition.applying) {
+        return;
+      }
+      transition.pendingSteps.some(function (step, idx) {
+        if (vector.equals(vector.computeUpdatedVector(step, vector.timestamp),
+            tolerance)) {
+          pos = idx;
+          return true;
+        }
+        return false;
+      });
+      if (pos >= 0) {
+        transition.pendingSteps.splice(0, pos + 1);
+        return;
+      }
+      logger.log('motion changed outside of transition');
+      self.cancelTransition();
+    };
+
+    /**
+     * Helper function that schedules the "change" to apply when the motion
+     * reaches the boundaries of the range, if it ever does.
+     *
+     * The function should be called whenever the vector or the range changes.
+     */
+    var scheduleRangeExit = function () {
+      if (rangeTimeoutId) {
+        time.clearTimeout(rangeTimeoutId);
+        rangeTimeoutId = null;
+      }
+      if ((readyState === 'closing') || (readyState === 'closed')) {
+        return;
+      }
+
+      var exit = computeRangeExit(currentVector, currentRange);
+      if (!exit) {
+        return;
+      }
+
+      logger.log('schedule range exit',
+        'delay=' + (exit.timestamp * 1000.0 - time.now()));
+      rangeTimeoutId = time.setTimeout(function () {
+        rangeTimeoutId = null;
+        logger.log('range boundary reached, stop motion');
+        self.vector = exit.vector;
+      }, Math.max(exit.timestamp * 1000.0 - time.now(), 0));
+    };
+
     Object.defineProperties(this, {
       readyState: {
         get: function () {
@@ -43,8 +229,12 @@ define(function (require) {
         set: function (state) {
           if (state !== readyState) {
             readyState = state;
+            if ((state === 'closing') || (state === 'closed')) {
+              scheduleRangeExit();
+              self.cancelTransition();
+            }
             logger.log('ready state updated, dispatch "readystatechange" event');
-            setTimeout(function () {
+            time.setTimeout(function () {
               // Dispatch the event on next loop to give code that wants to
               // listen to the initial change to "open" time to attach an event
               // listener (local timing provider objects typically set the
@@ -63,11 +253,24 @@ define(function (require) {
         },
         set: function (vector) {
           var previousVector = currentVector;
-          currentVector = vector;
-          if (previousVector.compareTo(currentVector) === 0) {
+          var previousRange = currentRange;
+          currentVector = applyRange(vector, currentRange);
+          scheduleRangeExit();
+
+          if (previousVector.equals(currentVector, tolerance)) {
             logger.log('vector updated, same as before');
           }
           else {
+            if (historySize > 0) {
+              history.push({
+                vector: previousVector,
+                range: previousRange
+              });
+              if (history.length > historySize) {
+                history.shift();
+              }
+            }
+            cancelTransitionOnForeignChange(currentVector);
             logger.log('vector updated, dispatch "change" event');
             self.dispatchEvent({
               type: 'change',
@@ -75,8 +278,165 @@ define(function (require) {
             });
           }
         }
+      },
+
+      /**
+       * The tolerance below which two vectors describe the same motion for
+       * the timing provider, see StateVector.prototype.equals
+       */
+      tolerance: {
+        get: function () {
+          return tolerance;
+        }
+      },
+
+      /**
+       * The range within which the motion is constrained. The motion stops
+       * when it reaches one of the boundaries of the range.
+       *
+       * Setting the range applies it to the current vector right away, which
+       * may trigger a "change" event.
+       */
+      range: {
+        get: function () {
+          return currentRange;
+        },
+        set: function (range) {
+          currentRange = new Interval(range);
+          logger.log('range updated');
+          self.vector = currentVector;
+        }
       }
     });
+
+    /**
+     * Returns the vector that describes the motion at the given local time,
+     * along with the range that applies to it.
+     *
+     * That is the current vector unless history is enabled and the time
+     * falls before the current vector's timestamp, in which case the most
+     * recent past vector whose timestamp is before the given time is used
+     * (or the oldest one if there is none).
+     *
+     * @function
+     * @param {Number} timestamp The local time in seconds
+     * @returns {Object} An object with "vector" and "range" properties
+     */
+    this.getMotionAt = function (timestamp) {
+      var motion = {
+        vector: currentVector,
+        range: currentRange
+      };
+      var pos = history.length - 1;
+      while ((pos >= 0) && (motion.vector.timestamp > timestamp)) {
+        motion = history[pos];
+        pos -= 1;
+      }
+      return motion;
+    };
+
+    /**
+     * Moves the motion to the given target over the given duration, applying
+     * the sequence of updates computed by StateVector.computeTransition at
+     * the right times through the "update" method. Any transition already in
+     * progress is cancelled.
+     *
+     * Concrete implementations must call "cancelTransition" whenever their
+     * "update" method gets called, so that updates cancel in-flight
+     * transitions. Changes of the motion that the steps of the transition
+     * did not cause cancel the transition as well.
+     *
+     * @function
+     * @param {Object} vector The target motion vector
+     * @param {Object} options Transition settings, see
+     *   StateVector.computeTransition
+     * @returns {Promise} The promise to get the motion once the transition is
+     *   over, either because it completed or because it was cancelled. The
+     *   promise is rejected if one of the updates fails.
+     */
+    this.transition = function (vector, options) {
+      var start = time.now();
+      var steps = null;
+
+      self.cancelTransition();
+      try {
+        steps = self.query().computeTransition(vector || {}, options);
+      }
+      catch (err) {
+        return Promise.reject(err);
+      }
+      logger.log('start transition', 'steps=' + steps.length);
+
+      return new Promise(function (resolve, reject) {
+        var transition = {
+          timeoutId: null,
+          applying: false,
+          pendingSteps: [],
+          resolve: resolve
+        };
+
+        var runNextStep = function () {
+          var step = steps.shift();
+          var last = (steps.length === 0);
+          transition.timeoutId = null;
+
+          // The update cancels the transition in progress, unless told that
+          // the update is part of the transition
+          transition.applying = true;
+          transition.pendingSteps.push(step.vector);
+          self.update(step.vector).then(function (vector) {
+            if (last && (currentTransition === transition)) {
+              logger.log('transition complete');
+              currentTransition = null;
+              resolve(vector);
+            }
+          }, function (err) {
+            if (currentTransition === transition) {
+              logger.warn('transition update failed', err);
+              time.clearTimeout(transition.timeoutId);
+              currentTransition = null;
+              reject(err);
+            }
+          });
+          transition.applying = false;
+
+          if (!last && (currentTransition === transition)) {
+            transition.timeoutId = time.setTimeout(runNextStep, Math.max(
+              start + steps[0].delay * 1000.0 - time.now(), 0));
+          }
+        };
+
+        currentTransition = transition;
+        runNextStep();
+      });
+    };
+
+
+    /**
+     * Cancels the transition in progress, if any. The promise returned by
+     * "transition" is resolved with the motion at the current time.
+     *
+     * @function
+     */
+    this.cancelTransition = function () {
+      var transition = currentTransition;
+      if (!transition) {
+        return;
+      }
+      if (transition.applying) {
+        // Update that the transition itself applies
+        transition.applying = false;
+        return;
+      }
+      logger.log('cancel transition');
+      currentTransition = null;
+      if (transition.timeoutId) {
+        time.clearTimeout(transition.timeoutId);
+      }
+      transition.resolve(self.query());
+    };
+
+    scheduleRangeExit();
     logger.info('created');
   };
 
@@ -87,6 +447,40 @@ define(function (require) {
   AbstractTimingProvider.prototype.dispatchEvent = EventTarget.dispatchEvent;
 
 
+  /**
+   * Returns a new StateVector that represents the motion's position,
+   * velocity and acceleration at the given local time.
+   *
+   * The range is taken into account, but note the function does not know
+   * about changes that the vector may undergo in the future. Past changes
+   * are taken into account when history is enabled.
+   *
+   * @function
+   * @param {Number} timestamp The local time in seconds
+   * @returns {StateVector} A new StateVector object that represents
+   *   the motion's position, velocity and acceleration at the given local
+   *   time.
+   */
+  AbstractTimingProvider.prototype.computeVector = function (timestamp) {
+    var motion = this.getMotionAt(timestamp);
+    var vector = motion.vector;
+
+    // The range exit may not have been applied yet if the event loop is
+    // busy, make sure the motion does not go past the range boundaries
+    var exit = computeRangeExit(vector, motion.range);
+    if (exit && (exit.timestamp <= timestamp)) {
+      vector = exit.vector;
+    }
+
+    return new StateVector({
+      position: vector.computePosition(timestamp),
+      velocity: vector.computeVelocity(timestamp),
+      acceleration: vector.computeAcceleration(timestamp),
+      timestamp: timestamp
+    });
+  };
+
+
   /**
    * Returns a new StateVector that represents the motion's position,
    * velocity and acceleration at the current local time.
@@ -97,18 +491,36 @@ define(function (require) {
    *   time.
    */
   AbstractTimingProvider.prototype.query = function () {
-    var timestamp = Date.now() / 1000.0;
-    var currentVector = new StateVector({
-      position: this.vector.computePosition(timestamp),
-      velocity: this.vector.computeVelocity(timestamp),
-      acceleration: this.vector.computeAcceleration(timestamp),
-      timestamp: timestamp
-    });
+    var currentVector = this.computeVector(time.now() / 1000.0);
     logger.log('query', currentVector);
     return currentVector;
   };
 
 
+  /**
+   * Returns a new StateVector that represents the motion's position,
+   * velocity and acceleration at the given time.
+   *
+   * The time may be expressed in the local timeline or in the timeline of
+   * the provider, e.g. the timeline of the server clock for online timing
+   * objects. Both timelines are the same for timing providers that are not
+   * synchronized with a remote clock. The timestamp of the returned vector
+   * is always a local time.
+   *
+   * @function
+   * @param {Number} timestamp The time in seconds
+   * @param {String} timeline The timeline of the given time, either "local"
+   *   or "server" ("local" if null)
+   * @returns {StateVector} A new StateVector object that represents
+   *   the motion's position, velocity and acceleration at the given time.
+   */
+  AbstractTimingProvider.prototype.queryAt = function (timestamp, timeline) {
+    var vector = this.computeVector(timestamp);
+    logger.log('query at', 'timeline=' + (timeline || 'local'), vector);
+    return vector;
+  };
+
+
   /**
    * Sends an update command to the online timing service.
    *
@@ -120,14 +532,24 @@ define(function (require) {
    *   If null, the velocity at the current time is used.
    * @param {Number} vector.acceleration The new acceleration.
    *   If null, the acceleration at the current time is used.
+   * @param {Object} options Update settings
+   * @param {Number} options.duration The duration of the transition to the
+   *   new motion in seconds. The update is immediate if null. See
+   *   StateVector.computeTransition for the transition that gets applied.
+   * @param {String} options.easing The profile of the transition,
+   *   "ease-in-out" or "linear" ("ease-in-out" if null)
+   * @param {Number} options.at The time in seconds, on the timeline of the
+   *   timing provider, at which the update is to take effect. The update is
+   *   immediate if null.
    * @returns {Promise} The promise to get an updated StateVector that
    *   represents the updated motion on the server once the update command
-   *   has been processed by the server.
+   *   has been processed by the server, or to get the scheduled update,
+   *   an object with "id", "timestamp" and "vector" properties.
    *   The promise is rejected if the connection with the online timing service
    *   is not possible for some reason (no connection, timing object on the
    *   server was deleted, timeout, permission issue).
    */
-  AbstractTimingProvider.prototype.update = function (vector) {
+  AbstractTimingProvider.prototype.update = function (vector, options) {
     vector = new StateVector(vector || {});
     logger.log('update', vector);
     return new Promise(function (resolve, reject) {
@@ -138,6 +560,35 @@ define(function (require) {
   };
 
 
+  /**
+   * Returns the updates scheduled to take effect in the future
+   *
+   * @function
+   * @returns {Array(Object)} The scheduled updates ordered by timestamp,
+   *   each with "id", "timestamp" and "vector" properties
+   */
+  AbstractTimingProvider.prototype.listScheduledUpdates = function () {
+    return [];
+  };
+
+
+  /**
+   * Cancels the scheduled update with the given ID
+   *
+   * @function
+   * @param {Number} id The ID of the scheduled update
+   * @returns {Promise} The promise that the update was cancelled
+   */
+  AbstractTimingProvider.prototype.cancelScheduledUpdate = function (id) {
+    logger.log('cancel scheduled update', 'id=' + id);
+    return new Promise(function (resolve, reject) {
+      var err = new Error('Abstract "cancelScheduledUpdate" method called');
+      logger.error(err);
+      reject(err);
+    });
+  };
+
+
   /**
    * Closes the timing provider object, releasing any resource that the
    * object might use.
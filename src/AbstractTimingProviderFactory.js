@@ -19,6 +19,12 @@ define(function (require) {
   var AbstractTimingProvider = require('./AbstractTimingProvider');
 
 
+  /**
+   * The timing provider factory only exposes static methods
+   */
+  var TimingProviderFactory = {};
+
+
   /**
    * Creates a timing object on the online timing service and returns a
    * timing provider object associated with it.
@@ -28,14 +34,17 @@ define(function (require) {
    *
    * @function
    * @static
-   * @param {TimingObject} timingobject The timing object to create or retrieve
+   * @param {String} id The ID of the timing object to create or retrieve
    *  from the online timing service.
+   * @param {StateVector} vector The initial motion vector
+   * @param {Interval} range The initial range if one is to be defined
    * @returns {Promise} The promise to get a timing provider object associated
    *   with an online timing object that matches the requested one.
    */
-  TimingProviderFactory.create = function (timingobject) {
+  TimingProviderFactory.create = function (id, vector, range) {
+    logger.log('create', 'id=' + id);
     return new Promise(function (resolve, reject) {
-      var provider = new AbstractTimingProvider(timingobject);
+      var provider = new AbstractTimingProvider(vector, range);
       resolve(provider);
     });
   };
@@ -48,11 +57,32 @@ define(function (require) {
    * @function
    * @static
    * @param {String} id The ID of the timing object to delete
-   * @returns
+   * @returns {Promise} The promise that the timing object was deleted
    */
   TimingProviderFactory.delete = function (id) {
+    logger.log('delete', 'id=' + id);
     return new Promise(function (resolve, reject) {
       resolve();
     });
   };
+
+
+  /**
+   * Lists the IDs of the timing objects available on the online timing
+   * service.
+   *
+   * @function
+   * @static
+   * @returns {Promise} The promise to get the list of IDs
+   */
+  TimingProviderFactory.list = function () {
+    logger.log('list');
+    return new Promise(function (resolve, reject) {
+      resolve([]);
+    });
+  };
+
+
+  // Expose the factory to the outer world
+  return TimingProviderFactory;
 });
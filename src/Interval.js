@@ -1,5 +1,13 @@
 /**
  * @file Defines an interval
+ *
+ * An interval is defined by a lower bound and a higher bound, each of which
+ * may be included or excluded. Missing bounds are infinite, and infinite
+ * bounds are never included. The interval may be empty, e.g. when both bounds
+ * are equal and one of them is excluded.
+ *
+ * Intervals serialize to JSON with null for infinite bounds, and the
+ * constructor accepts that serialization back.
  */
 
 // Ensure "define" is defined in node.js in the absence of require.js
@@ -12,43 +20,124 @@ define(function (require) {
   var woodman = require('woodman');
   var logger = woodman.getLogger('Interval');
 
+  var isNull = require('./utils').isNull;
   var isNumber = require('./utils').isNumber;
 
 
+  /**
+   * Compares the lower bounds of the given intervals. An included bound
+   * comes before an excluded bound with the same value.
+   *
+   * @function
+   * @private
+   * @returns {Number} A negative number, zero or a positive number if the
+   *   lower bound of the first interval comes before, at the same place or
+   *   after that of the second interval
+   */
+  var compareLow = function (a, b) {
+    if (a.low !== b.low) {
+      return (a.low < b.low) ? -1 : 1;
+    }
+    if (a.lowInclude === b.lowInclude) {
+      return 0;
+    }
+    return a.lowInclude ? -1 : 1;
+  };
+
+
+  /**
+   * Compares the higher bounds of the given intervals. An excluded bound
+   * comes before an included bound with the same value.
+   *
+   * @function
+   * @private
+   * @returns {Number} A negative number, zero or a positive number if the
+   *   higher bound of the first interval comes before, at the same place or
+   *   after that of the second interval
+   */
+  var compareHigh = function (a, b) {
+    if (a.high !== b.high) {
+      return (a.high < b.high) ? -1 : 1;
+    }
+    if (a.highInclude === b.highInclude) {
+      return 0;
+    }
+    return a.highInclude ? 1 : -1;
+  };
+
+
   /**
    * Creates an interval
    *
    * @class
    * @param {Object} range The range
-   * @param {Number} range.low Lower bound of the interval
-   * @param {Number} range.high Higher bound of the interval
+   * @param {Number} range.low Lower bound of the interval (-Infinity if null)
+   * @param {Number} range.high Higher bound of the interval (Infinity if null)
    * @param {Boolean} range.lowInclude Whether to include the lower bound
    * @param {Boolean} range.highInclude Whether to include the higher bound
    */
   var Interval = function (range) {
+    var low = null;
+    var lowInclude = false;
     range = range || {};
 
-    this.low = range.low;
-    this.lowInclude = range.lowInclude;
-    this.high = range.high;
-    this.highInclude = range.highInclude;
+    this.low = isNumber(range.low) ? range.low : -Infinity;
+    this.lowInclude = !!range.lowInclude && isFinite(this.low);
+    this.high = isNumber(range.high) ? range.high : Infinity;
+    this.highInclude = !!range.highInclude && isFinite(this.high);
 
     // Ensure low <= high
-    if (isNumber(this.low) &&
-        isNumber(this.high) &&
-        (this.low > this.high)) {
-      range.low = this.high;
-      range.lowInclude = this.highInclude;
+    if (this.low > this.high) {
+      low = this.high;
+      lowInclude = this.highInclude;
       this.high = this.low;
       this.highInclude = this.lowInclude;
-      this.low = range.low;
-      this.lowInclude = range.lowInclude;
+      this.low = low;
+      this.lowInclude = lowInclude;
     }
 
     logger.info('created');
   };
 
 
+  /**
+   * Creates an interval from its JSON serialization, checking that the
+   * serialization is valid.
+   *
+   * @function
+   * @static
+   * @param {Object|String} json The serialization of the interval, as an
+   *   object or as a JSON string. Null or undefined give an infinite
+   *   interval.
+   * @returns {Interval} The interval
+   * @throws {Error} When the serialization is not that of an interval
+   */
+  Interval.fromJSON = function (json) {
+    if (typeof json === 'string') {
+      json = JSON.parse(json);
+    }
+    json = json || {};
+    if (typeof json !== 'object') {
+      throw new Error('Invalid interval');
+    }
+    ['low', 'high'].forEach(function (name) {
+      var value = json[name];
+      if (!isNull(value) && (value !== undefined) &&
+          (!isNumber(value) || isNaN(value))) {
+        throw new Error('Invalid interval ' + name + ' bound');
+      }
+    });
+    ['lowInclude', 'highInclude'].forEach(function (name) {
+      var value = json[name];
+      if (!isNull(value) && (value !== undefined) &&
+          (typeof value !== 'boolean')) {
+        throw new Error('Invalid interval ' + name + ' flag');
+      }
+    });
+    return new Interval(json);
+  };
+
+
   /**
    * Returns true if interval covers the given value.
    *
@@ -57,11 +146,9 @@ define(function (require) {
    * @returns {Boolean} true if interval covers the value
    */
   Interval.prototype.covers = function (value) {
-    return (!this.low ||
-        (this.low < value) ||
+    return ((this.low < value) ||
         ((this.low === value) && this.lowInclude)) &&
-      (!this.high ||
-        (this.high > value) ||
+      ((this.high > value) ||
         ((this.high === value) && this.highInclude));
   };
 
@@ -77,6 +164,209 @@ define(function (require) {
   };
 
 
+  /**
+   * Returns true if the interval does not cover any value
+   *
+   * @function
+   * @returns {Boolean} true if the interval is empty
+   */
+  Interval.prototype.isEmpty = function () {
+    return (this.low === this.high) &&
+      (!this.lowInclude || !this.highInclude);
+  };
+
+
+  /**
+   * Returns true if the interval covers all values
+   *
+   * @function
+   * @returns {Boolean} true if both bounds are infinite
+   */
+  Interval.prototype.isInfinite = function () {
+    return !isFinite(this.low) && !isFinite(this.high);
+  };
+
+
+  /**
+   * Returns the value of the interval closest to the given value, in other
+   * words the given value constrained to the closure of the interval. An
+   * excluded bound is returned when the value lies beyond it.
+   *
+   * @function
+   * @param {Number} value The value to clamp
+   * @returns {Number} The clamped value
+   */
+  Interval.prototype.clamp = function (value) {
+    if (value < this.low) {
+      return this.low;
+    }
+    else if (value > this.high) {
+      return this.high;
+    }
+    return value;
+  };
+
+
+  /**
+   * Returns true if the interval contains the given interval, in other words
+   * if it covers all the values that the given interval covers. An empty
+   * interval is contained in any interval.
+   *
+   * @function
+   * @param {Interval} interval The interval to check
+   * @returns {Boolean} true if the interval contains the given one
+   */
+  Interval.prototype.contains = function (interval) {
+    interval = new Interval(interval);
+    if (interval.isEmpty()) {
+      return true;
+    }
+    return (compareLow(this, interval) <= 0) &&
+      (compareHigh(this, interval) >= 0);
+  };
+
+
+  /**
+   * Returns the intersection of the interval with the given interval
+   *
+   * @function
+   * @param {Interval} interval The other interval
+   * @returns {Interval} The intersection, null if it is empty
+   */
+  Interval.prototype.intersect = function (interval) {
+    var low = null;
+    var high = null;
+    var result = null;
+
+    interval = new Interval(interval);
+    low = (compareLow(this, interval) >= 0) ? this : interval;
+    high = (compareHigh(this, interval) <= 0) ? this : interval;
+    if (low.low > high.high) {
+      return null;
+    }
+    result = new Interval({
+      low: low.low,
+      lowInclude: low.lowInclude,
+      high: high.high,
+      highInclude: high.highInclude
+    });
+    return result.isEmpty() ? null : result;
+  };
+
+
+  /**
+   * Returns true if the interval and the given interval share at least
+   * one value
+   *
+   * @function
+   * @param {Interval} interval The other interval
+   * @returns {Boolean} true if the intervals overlap
+   */
+  Interval.prototype.overlaps = function (interval) {
+    return !!this.intersect(interval);
+  };
+
+
+  /**
+   * Returns the union of the interval with the given interval, provided the
+   * union is an interval, in other words provided the intervals overlap or
+   * are adjacent (e.g. [0, 1) and [1, 2]). Empty intervals are ignored.
+   *
+   * @function
+   * @param {Interval} interval The other interval
+   * @returns {Interval} The union, null if there is a gap between the
+   *   intervals or if both are empty
+   */
+  Interval.prototype.union = function (interval) {
+    var low = null;
+    var high = null;
+    var adjacent = false;
+
+    interval = new Interval(interval);
+    if (interval.isEmpty()) {
+      return this.isEmpty() ? null : new Interval(this);
+    }
+    if (this.isEmpty()) {
+      return interval;
+    }
+
+    adjacent = ((this.high === interval.low) &&
+        (this.highInclude || interval.lowInclude)) ||
+      ((interval.high === this.low) &&
+        (interval.highInclude || this.lowInclude));
+    if (!adjacent && !this.overlaps(interval)) {
+      return null;
+    }
+
+    low = (compareLow(this, interval) <= 0) ? this : interval;
+    high = (compareHigh(this, interval) >= 0) ? this : interval;
+    return new Interval({
+      low: low.low,
+      lowInclude: low.lowInclude,
+      high: high.high,
+      highInclude: high.highInclude
+    });
+  };
+
+
+  /**
+   * Compares the interval with the given interval for order. Intervals are
+   * ordered by lower bound first and by higher bound next.
+   *
+   * @function
+   * @param {Interval} interval The interval to compare
+   * @returns {Integer} A negative integer, zero, or a positive integer as
+   *   this interval is less than, equal to, or greater than the given one
+   */
+  Interval.prototype.compare = function (interval) {
+    interval = new Interval(interval);
+    return compareLow(this, interval) || compareHigh(this, interval);
+  };
+
+
+  /**
+   * Returns true if the interval has the same bounds as the given interval
+   *
+   * @function
+   * @param {Interval} interval The interval to compare
+   * @returns {Boolean} true if both intervals are equal
+   */
+  Interval.prototype.equals = function (interval) {
+    return this.compare(interval) === 0;
+  };
+
+
+  /**
+   * Returns the JSON serialization of the interval, with null for infinite
+   * bounds (which JSON cannot represent)
+   *
+   * @function
+   * @returns {Object} The serialization of the interval
+   */
+  Interval.prototype.toJSON = function () {
+    return {
+      low: isFinite(this.low) ? this.low : null,
+      lowInclude: this.lowInclude,
+      high: isFinite(this.high) ? this.high : null,
+      highInclude: this.highInclude
+    };
+  };
+
+
+  /**
+   * Overrides toString to return a meaningful string serialization of the
+   * object for logging
+   *
+   * @function
+   * @returns {String} A human-readable serialization of the interval
+   */
+  Interval.prototype.toString = function () {
+    return (this.lowInclude ? '[' : '(') +
+      this.low + ', ' + this.high +
+      (this.highInclude ? ']' : ')');
+  };
+
+
   // Expose the Interval class to the outer world
   return Interval;
-});
\ No newline at end of file
+});
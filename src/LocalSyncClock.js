@@ -12,6 +12,7 @@ if (typeof define !== 'function') {
 
 define(function (require) {
   var AbstractSyncClock = require('./AbstractSyncClock');
+  var time = require('./time');
 
   /**
    * Default constructor for a synchronized clock
@@ -21,6 +22,10 @@ define(function (require) {
   var LocalSyncClock = function (initialSkew, initialDelta) {
     // Initialize the base class with default data
     AbstractSyncClock.call(this);
+    this.quality = {
+      errorBound: 0,
+      lastSync: time.now()
+    };
     this.readyState = 'open';
   };
   LocalSyncClock.prototype = new AbstractSyncClock();
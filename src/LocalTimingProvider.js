@@ -16,17 +16,169 @@ define(function (require) {
   var logger = woodman.getLogger('LocalTimingProvider');
 
   var AbstractTimingProvider = require('./AbstractTimingProvider');
-  var StateVector = require('./StateVector');
-  var isNull = require('./utils').isNull;
+  var isNumber = require('./utils').isNumber;
+  var time = require('./time');
+
+
+  // Counter used to generate the IDs of scheduled updates
+  var scheduledUpdateCounter = 0;
+
+
+  /**
+   * Returns the public description of the given scheduled update
+   *
+   * @function
+   * @private
+   * @param {Object} update The scheduled update
+   * @returns {Object} An object with "id", "timestamp" and "vector"
+   *   properties
+   */
+  var describeScheduledUpdate = function (update) {
+    return {
+      id: update.id,
+      timestamp: update.timestamp,
+      vector: {
+        position: update.vector.position,
+        velocity: update.vector.velocity,
+        acceleration: update.vector.acceleration
+      }
+    };
+  };
 
 
   /**
    * Creates a timing provider
    *
    * @class
+   * @param {StateVector} vector The initial motion vector
+   * @param {Interval} range The initial range if one is to be defined
+   * @param {Object} options Timing provider settings, see
+   *   AbstractTimingProvider
    */
-  var LocalTimingProvider = function (vector, range) {
-    AbstractTimingProvider.call(this, vector, range);
+  var LocalTimingProvider = function (vector, range, options) {
+    var self = this;
+
+    /**
+     * The updates scheduled to take effect in the future, ordered by
+     * timestamp, along with the IDs of the timeouts that apply them
+     */
+    var scheduledUpdates = [];
+
+    AbstractTimingProvider.call(this, vector, range, options);
+
+
+    /**
+     * Schedules the given update to take effect at the given time. The
+     * update is applied as if it had been made exactly at that time, even
+     * though the timer that applies it may run a bit late.
+     *
+     * @function
+     * @param {Object} vector The update, see "update"
+     * @param {Number} timestamp The time at which the update takes effect,
+     *   in seconds
+     * @param {Number} id The ID of the update, to restore an update that was
+     *   scheduled before (a new ID if null). IDs generated afterwards are
+     *   greater than the given one.
+     * @returns {Object} The scheduled update, an object with "id",
+     *   "timestamp" and "vector" properties
+     */
+    this.scheduleUpdate = function (vector, timestamp, id) {
+      vector = vector || {};
+      if (isNumber(id)) {
+        scheduledUpdateCounter = Math.max(scheduledUpdateCounter, id);
+      }
+      else {
+        scheduledUpdateCounter += 1;
+        id = scheduledUpdateCounter;
+      }
+      var update = {
+        id: id,
+        timestamp: timestamp,
+        vector: {
+          position: isNumber(vector.position) ? vector.position : null,
+          velocity: isNumber(vector.velocity) ? vector.velocity : null,
+          acceleration: isNumber(vector.acceleration) ?
+            vector.acceleration :
+            null
+        },
+        timeoutId: null
+      };
+
+      update.timeoutId = time.setTimeout(function () {
+        // The motion at that time takes the range into account, as for
+        // socket timing providers that apply scheduled updates on their own
+        var timestamp = Math.max(update.timestamp, self.vector.timestamp);
+        scheduledUpdates = scheduledUpdates.filter(function (other) {
+          return other !== update;
+        });
+        self.cancelTransition();
+        self.vector = self.computeVector(timestamp).computeUpdatedVector(
+          update.vector, timestamp);
+        logger.info('scheduled update applied', 'id=' + update.id,
+          self.vector);
+      }, Math.max(timestamp * 1000.0 - time.now(), 0));
+
+      scheduledUpdates.push(update);
+      scheduledUpdates.sort(function (a, b) {
+        return a.timestamp - b.timestamp;
+      });
+      logger.info('update scheduled', 'id=' + update.id,
+        'timestamp=' + timestamp);
+      return describeScheduledUpdate(update);
+    };
+
+
+    /**
+     * Returns the updates scheduled to take effect in the future
+     *
+     * @function
+     * @returns {Array(Object)} The scheduled updates ordered by timestamp,
+     *   each with "id", "timestamp" and "vector" properties
+     */
+    this.listScheduledUpdates = function () {
+      return scheduledUpdates.map(describeScheduledUpdate);
+    };
+
+
+    /**
+     * Cancels the scheduled update with the given ID
+     *
+     * @function
+     * @param {Number} id The ID of the scheduled update
+     * @returns {Promise} The promise that the update was cancelled. The
+     *   promise is rejected if there is no such scheduled update.
+     */
+    this.cancelScheduledUpdate = function (id) {
+      var update = null;
+      scheduledUpdates.forEach(function (other) {
+        if (other.id === id) {
+          update = other;
+        }
+      });
+      if (!update) {
+        return Promise.reject(new Error('Unknown scheduled update'));
+      }
+      time.clearTimeout(update.timeoutId);
+      scheduledUpdates = scheduledUpdates.filter(function (other) {
+        return other !== update;
+      });
+      logger.info('scheduled update cancelled', 'id=' + id);
+      return Promise.resolve(describeScheduledUpdate(update));
+    };
+
+
+    /**
+     * Cancels all scheduled updates, used when the object gets closed
+     *
+     * @function
+     */
+    this.clearScheduledUpdates = function () {
+      scheduledUpdates.forEach(function (update) {
+        time.clearTimeout(update.timeoutId);
+      });
+      scheduledUpdates = [];
+    };
+
     this.readyState = 'open';
     logger.info('created');
   };
@@ -34,7 +186,7 @@ define(function (require) {
 
 
   /**
-   * Sends an update command to the online timing service.
+   * Updates the motion.
    *
    * @function
    * @param {Object} vector The new motion vector
@@ -44,39 +196,62 @@ define(function (require) {
    *   If null, the velocity at the current time is used.
    * @param {Number} vector.acceleration The new acceleration.
    *   If null, the acceleration at the current time is used.
+   * @param {Object} options Update settings
+   * @param {Number} options.duration The duration of the transition to the
+   *   new motion in seconds. The update is immediate if null. See
+   *   StateVector.computeTransition for the transition that gets applied.
+   * @param {String} options.easing The profile of the transition,
+   *   "ease-in-out" or "linear" ("ease-in-out" if null)
+   * @param {Number} options.at The time in seconds at which the update is to
+   *   take effect. The update is immediate if null. Cannot be combined with
+   *   a transition.
    * @returns {Promise} The promise to get an updated StateVector that
-   *   represents the updated motion on the server once the update command
-   *   has been processed by the server.
-   *   The promise is rejected if the connection with the online timing service
-   *   is not possible for some reason (no connection, timing object on the
-   *   server was deleted, timeout, permission issue).
+   *   represents the updated motion.
+   *   With a transition, the promise resolves once the transition is over.
+   *   With a time, the promise resolves right away with the scheduled
+   *   update, see "scheduleUpdate".
    */
-  LocalTimingProvider.prototype.update = function (vector) {
-    vector = vector || {};
-
-    var timestamp = Date.now() / 1000.0;
-    var newVector = {
-      position: (isNull(vector.position) ?
-        this.vector.computePosition(timestamp) :
-        vector.position),
-      velocity: (isNull(vector.velocity) ?
-        this.vector.computeVelocity(timestamp) :
-        vector.velocity),
-      acceleration: (isNull(vector.acceleration) ?
-        this.vector.computeAcceleration(timestamp) :
-        vector.acceleration),
-      timestamp: timestamp
-    };
-    this.vector = new StateVector(newVector);
+  LocalTimingProvider.prototype.update = function (vector, options) {
+    if (options && isNumber(options.at)) {
+      if (options.duration) {
+        return Promise.reject(
+          new Error('Scheduled transitions are not supported'));
+      }
+      return Promise.resolve(this.scheduleUpdate(vector, options.at));
+    }
+    if (options && options.duration) {
+      return this.transition(vector, options);
+    }
+    this.cancelTransition();
+
+    // NB: the motion is evaluated with the range, in case it reached one of
+    // the boundaries of the range and was not stopped yet. The resulting
+    // vector may differ from the requested one if the requested position
+    // lies outside of the range
+    var timestamp = time.now() / 1000.0;
+    this.vector = this.computeVector(timestamp).computeUpdatedVector(vector,
+      timestamp);
     logger.info('update', this.vector);
 
+    var self = this;
     return new Promise(function (resolve, reject) {
       logger.log('update', 'done');
-      resolve(newVector);
+      resolve(self.vector);
     });
   };
 
 
+  /**
+   * Closes the timing provider object, cancelling scheduled updates.
+   *
+   * @function
+   */
+  LocalTimingProvider.prototype.close = function () {
+    this.clearScheduledUpdates();
+    AbstractTimingProvider.prototype.close.call(this);
+  };
+
+
   // Expose the class to the outer world
   return LocalTimingProvider;
 });
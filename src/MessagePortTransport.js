@@ -0,0 +1,165 @@
+/**
+ * @file A transport that exchanges messages through "postMessage", to be used
+ * with a MessageSyncClock.
+ *
+ * The transport works with anything that exposes a "postMessage" method:
+ * MessagePort and MessageChannel ports, Web workers, windows (e.g. to
+ * synchronize with an iframe) and Node.js "worker_threads" ports and workers.
+ * Messages are sent as objects, relying on the structured clone algorithm.
+ *
+ * The channel is considered to be open right away. It gets closed when the
+ * receiver emits a "close" event (e.g. Node.js ports, and MessagePort in
+ * recent browsers) or an "exit" event (Node.js workers).
+ */
+
+// Ensure "define" is defined in node.js in the absence of require.js
+// See: https://github.com/jrburke/amdefine
+if (typeof define !== 'function') {
+  var define = require('amdefine')(module);
+}
+
+define(function (require) {
+  var woodman = require('woodman');
+  var logger = woodman.getLogger('MessagePortTransport');
+
+
+  /**
+   * Creates a transport over the given port
+   *
+   * @class
+   * @param {MessagePort} port The object to post messages to
+   * @param {Object} options Transport settings
+   * @param {String} options.targetOrigin The target origin to pass to
+   *   "postMessage" when the port is a window (none if null)
+   * @param {Object} options.receiver The object to listen to for incoming
+   *   "message" events, when different from the port (e.g. the current
+   *   window when the port is the window of an iframe). Only messages sent
+   *   by the port are taken into account in that case.
+   */
+  var MessagePortTransport = function (port, options) {
+    options = options || {};
+    var receiver = options.receiver || port;
+    var handlers = null;
+    var closed = false;
+
+
+    /**
+     * Helper function that handles incoming messages. Node.js ports pass the
+     * message itself, DOM ports pass a MessageEvent.
+     */
+    var messageHandler = function (evt) {
+      if (!handlers) {
+        return;
+      }
+      if (receiver.addEventListener) {
+        if ((receiver !== port) && evt.source && (evt.source !== port)) {
+          logger.log('message not sent by the port, ignore');
+          return;
+        }
+        handlers.message(evt.data);
+      }
+      else {
+        handlers.message(evt);
+      }
+    };
+
+    var closeHandler = function () {
+      logger.log('port closed');
+      closed = true;
+      if (handlers) {
+        handlers.close();
+      }
+    };
+
+
+    /**
+     * Helper functions that add and remove event listeners on the receiver,
+     * be it a DOM event target or a Node.js event emitter (Node.js workers
+     * are not event targets).
+     */
+    var addListener = function (type, handler) {
+      if (receiver.addEventListener) {
+        receiver.addEventListener(type, handler);
+      }
+      else {
+        receiver.on(type, handler);
+      }
+    };
+    var removeListener = function (type, handler) {
+      if (receiver.removeEventListener) {
+        receiver.removeEventListener(type, handler);
+      }
+      else {
+        receiver.removeListener(type, handler);
+      }
+    };
+
+
+    /**
+     * The underlying port
+     */
+    this.port = port;
+
+
+    /**
+     * The ready state of the transport. Ports are open right away, and only
+     * some of them report when they get closed.
+     */
+    Object.defineProperty(this, 'readyState', {
+      get: function () {
+        return closed ? 'closed' : 'open';
+      }
+    });
+
+
+    /**
+     * Sends the given message object through the port
+     *
+     * @function
+     * @param {Object} message The message to send
+     */
+    this.send = function (message) {
+      if (options.targetOrigin) {
+        port.postMessage(message, options.targetOrigin);
+      }
+      else {
+        port.postMessage(message);
+      }
+    };
+
+
+    /**
+     * Starts listening to the port
+     *
+     * @function
+     * @param {Object} listener The "open", "close" and "message" handlers
+     */
+    this.listen = function (listener) {
+      handlers = listener;
+      addListener('message', messageHandler);
+      addListener('close', closeHandler);
+      addListener('exit', closeHandler);
+      if (receiver.addEventListener && receiver.start) {
+        // Messages are queued until a MessagePort is started
+        receiver.start();
+      }
+    };
+
+
+    /**
+     * Stops listening to the port. The port remains open.
+     *
+     * @function
+     */
+    this.unlisten = function () {
+      handlers = null;
+      removeListener('message', messageHandler);
+      removeListener('close', closeHandler);
+      removeListener('exit', closeHandler);
+    };
+  };
+
+
+  // Expose the class to the outer world
+  return MessagePortTransport;
+});
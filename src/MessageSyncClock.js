@@ -0,0 +1,1137 @@
+/**
+ * @file A clock synchronized with a reference clock over some message-based
+ * communication channel.
+ *
+ * The clock does not depend on the underlying communication channel. It
+ * exchanges "sync" messages with the reference clock through a transport
+ * object that implements the following interface:
+ * - readyState: "connecting", "open" or "closed"
+ * - send(message): sends the given message object
+ * - listen(handlers): starts listening to the channel. The "handlers" object
+ * has an "open" function, called when the channel opens, a "close" function,
+ * called when the channel closes, and a "message" function, called with each
+ * message object received, which returns true when the message was not for
+ * the listener. Transports may also call an optional "error" function with
+ * the errors that the channel reports.
+ * - unlisten(): stops listening to the channel (the channel remains open)
+ *
+ * Transports for WebSockets, MessagePort and postMessage, and newline-
+ * delimited JSON over Node.js "net" sockets are available in
+ * WebSocketTransport, MessagePortTransport and NetSocketTransport.
+ *
+ * The other end of the channel replies to "sync" requests with a "sync"
+ * message that completes the request with the time at which it was received
+ * and the time at which the reply was sent. The static "respond" function
+ * does that for a transport.
+ *
+ * This clock has an initialization period during it sends a batch of "sync"
+ * requets to the server to compute the minimum roundtrip duration and a
+ * realistic threshold for that roundtrip duration.
+ *
+ * The threshold is used afterward to reject sync messages that spend too much
+ * time in the network (or in the client or server waiting to be processed),
+ * as these messages would otherwise lead to a poor skew estimate.
+ *
+ * Sync messages that pass that threshold are not applied right away. As in
+ * NTP, they go through a filter stage that keeps a window of recent samples,
+ * rejects outliers and selects the sample with the minimum round trip, whose
+ * offset is the most reliable. The skew is only updated when the filtered
+ * estimate changes beyond its uncertainty, so that a single lucky or unlucky
+ * packet does not move the clock. Known path asymmetries may be taken into
+ * account through hints.
+ *
+ * The clock keeps a sliding window of accepted samples and fits both the skew
+ * and the rate of the reference clock relative to the local clock, to account
+ * for the frequency difference between the two oscillators. The time that
+ * the clock reports is extrapolated from that fit between sync batches.
+ *
+ * By default, the interval between sync batches adapts to the quality of the
+ * synchronization: batches get more spaced out while the estimated error
+ * remains well below some target, and closer together when the estimated
+ * error exceeds that target or when the network gets jittery. The tuning
+ * settings of the clock may be set per instance.
+ *
+ * Note that this clock is not necessarily monotonic by default: new skew
+ * estimates are applied right away. In "slew" mode, skew corrections are
+ * rather applied gradually over some period, with a bounded rate, so that the
+ * clock never jumps backward and jumps forward gradually. Corrections that
+ * exceed some threshold are still applied right away, but the time that the
+ * clock reports for the current time still never goes backward in that mode.
+ *
+ * This implementation borrows idea from the Media State Vector
+ * paper and/or the "Probabilistic clock synchronization" paper at:
+ * http://motioncorporation.com/publications/mediastatevector2012.pdf
+ * http://www.cs.utexas.edu/users/lorenzo/corsi/cs380d/papers/Cristian.pdf
+ */
+
+// Ensure "define" is defined in node.js in the absence of require.js
+// See: https://github.com/jrburke/amdefine
+if (typeof define !== 'function') {
+  var define = require('amdefine')(module);
+}
+
+define(function (require) {
+  var woodman = require('woodman');
+  var logger = woodman.getLogger('MessageSyncClock');
+
+  var AbstractSyncClock = require('./AbstractSyncClock');
+  var isNumber = require('./utils').isNumber;
+  var time = require('./time');
+
+  // Number of exchanges to make with the server to compute the first skew
+  var defaultInitialAttempts = 10;
+
+  // Interval between two exchanges during initialization (in ms)
+  var defaultInitialInterval = 10;
+
+  // Maximum number of attempts before giving up
+  var defaultMaxAttempts = 10;
+
+  // Interval between two attempts when the clock is open (in ms)
+  var defaultAttemptInterval = 500;
+
+  // Interval between two synchronization batches (in ms)
+  var defaultBatchInterval = 10000;
+
+  // Minimum roundtrip threshold (in ms)
+  var defaultMinRoundtripThreshold = 5;
+
+  // Bounds of the interval between two synchronization batches when the
+  // interval is adapted to the quality of the synchronization (in ms)
+  var defaultMinBatchInterval = 2000;
+  var defaultMaxBatchInterval = 60000;
+
+  // Error bound that the adaptive policy aims at (in ms)
+  var defaultTargetErrorBound = 10;
+
+  // Minimum period over which skew corrections are slewed (in ms)
+  var defaultSlewPeriod = 2000;
+
+  // Maximum slew rate, in ms of correction per ms of elapsed time
+  var defaultMaxSlewRate = 0.05;
+
+  // Corrections above that threshold are applied right away (in ms)
+  var defaultStepThreshold = 1000;
+
+  // Number of accepted samples kept to estimate the skew and rate
+  var driftWindowSize = 8;
+
+  // Minimum period that samples must cover to estimate the rate (in ms)
+  var minDriftSpan = 30000;
+
+  // Maximum rate that may reasonably be estimated (in ms per ms)
+  var maxDriftRate = 0.001;
+
+  // Number of recent samples kept in the filter stage
+  var filterWindowSize = 8;
+
+  // Samples whose offset deviates from the median offset by more than that
+  // number of (normalized) median absolute deviations are outliers
+  var outlierThreshold = 3;
+
+
+  /**
+   * Returns the median of the given values
+   *
+   * @function
+   * @private
+   * @param {Array(Number)} values The values
+   * @returns {Number} The median, null if there are no values
+   */
+  var getMedian = function (values) {
+    var sorted = values.slice().sort(function (a, b) {
+      return a - b;
+    });
+    var middle = Math.floor(sorted.length / 2);
+    if (sorted.length === 0) {
+      return null;
+    }
+    else if (sorted.length % 2) {
+      return sorted[middle];
+    }
+    else {
+      return (sorted[middle - 1] + sorted[middle]) / 2.0;
+    }
+  };
+
+
+  /**
+   * Selects the most reliable sample in the given window of samples, in
+   * other words the sample with the minimum round trip once outliers have
+   * been rejected.
+   *
+   * Offsets are compared once the given rate has been taken into account.
+   * Outliers are detected with the median absolute deviation of offsets,
+   * when the window contains at least 3 samples.
+   *
+   * @function
+   * @private
+   * @param {Array(Object)} window The samples, in chronological order, each
+   *   with a "localTime", an "offset" and a "roundtrip" property, in ms
+   * @param {Number} rate The current rate estimate
+   * @returns {Object} The selection, with a "sample" property (the selected
+   *   sample) and a "jitter" property (the root mean square of the
+   *   differences between the offsets of the other samples that are not
+   *   outliers and that of the selected sample, in ms)
+   */
+  var filterSamples = function (window, rate) {
+    var latest = window[window.length - 1];
+    var offsets = window.map(function (sample) {
+      return sample.offset - rate * (sample.localTime - latest.localTime);
+    });
+    var median = getMedian(offsets);
+    var deviation = getMedian(offsets.map(function (offset) {
+      return Math.abs(offset - median);
+    }));
+    var threshold = Math.max(outlierThreshold * 1.4826 * deviation, 1);
+    var candidates = [];
+    var best = -1;
+    var jitter = 0;
+
+    window.forEach(function (sample, index) {
+      if ((window.length >= 3) &&
+          (Math.abs(offsets[index] - median) > threshold)) {
+        logger.log('sample is an outlier', 'offset=' + sample.offset);
+        return;
+      }
+      candidates.push(index);
+      if ((best < 0) || (sample.roundtrip <= window[best].roundtrip)) {
+        best = index;
+      }
+    });
+
+    candidates.forEach(function (index) {
+      jitter += (offsets[index] - offsets[best]) *
+        (offsets[index] - offsets[best]) / candidates.length;
+    });
+
+    return {
+      sample: window[best],
+      jitter: Math.sqrt(jitter)
+    };
+  };
+
+
+  /**
+   * Fits the offset and rate of the reference clock relative to the local
+   * clock to the given samples, using a least squares linear regression.
+   *
+   * The rate is only estimated when samples cover a long enough period.
+   * Otherwise, the offset of the latest sample is used and the rate is 0.
+   *
+   * @function
+   * @private
+   * @param {Array(Object)} samples The samples, in chronological order, each
+   *   with a "localTime" and an "offset" property, in ms
+   * @returns {Object} The fit, with an "offset" property (the offset at the
+   *   reference local time), a "rate" property, a "reference" property (the
+   *   local time of the latest sample) and a "residual" property (the
+   *   maximum distance between the samples and the fit, in ms)
+   */
+  var fitSamples = function (samples) {
+    var last = samples[samples.length - 1];
+    var meanTime = 0;
+    var meanOffset = 0;
+    var covariance = 0;
+    var variance = 0;
+    var rate = 0;
+    var offset = 0;
+    var residual = 0;
+
+    if ((samples.length < 2) ||
+        (last.localTime - samples[0].localTime < minDriftSpan)) {
+      return {
+        offset: last.offset,
+        rate: 0,
+        reference: last.localTime,
+        residual: 0
+      };
+    }
+
+    samples.forEach(function (sample) {
+      meanTime += sample.localTime / samples.length;
+      meanOffset += sample.offset / samples.length;
+    });
+    samples.forEach(function (sample) {
+      covariance += (sample.localTime - meanTime) *
+        (sample.offset - meanOffset);
+      variance += (sample.localTime - meanTime) *
+        (sample.localTime - meanTime);
+    });
+
+    rate = covariance / variance;
+    rate = Math.max(Math.min(rate, maxDriftRate), -maxDriftRate);
+    offset = meanOffset + rate * (last.localTime - meanTime);
+    samples.forEach(function (sample) {
+      residual = Math.max(residual, Math.abs(
+        sample.offset - offset - rate * (sample.localTime - last.localTime)));
+    });
+
+    return {
+      offset: offset,
+      rate: rate,
+      reference: last.localTime,
+      residual: residual
+    };
+  };
+
+
+  /**
+   * Creates a synchronization clock that exchanges messages through the
+   * given transport
+   *
+   * @class
+   * @param {String} id An identifier used as prefix in sync requests (e.g. the
+   *   URL of the remote timing object for which we want to synchronize the
+   *   clock, used to check permissions)
+   * @param {Object} transport The transport to use as communication channel,
+   *   see the interface above
+   * @param {Object} options Clock settings
+   * @param {Boolean} options.slew Whether to slew skew corrections gradually
+   *   rather than applying them right away (false if null)
+   * @param {Number} options.slewPeriod The minimum period over which skew
+   *   corrections are slewed, in ms (2000 if null)
+   * @param {Number} options.maxSlewRate The maximum slew rate, in ms of
+   *   correction per ms of elapsed time, must be lower than 1 (0.05 if null)
+   * @param {Number} options.stepThreshold Corrections above that threshold
+   *   are applied right away, in ms (1000 if null)
+   * @param {Number} options.initialAttempts The number of exchanges to make
+   *   with the server to compute the first skew (10 if null)
+   * @param {Number} options.initialInterval The interval between two
+   *   exchanges during initialization, in ms (10 if null)
+   * @param {Number} options.maxAttempts The maximum number of attempts in
+   *   a synchronization batch before giving up (10 if null)
+   * @param {Number} options.attemptInterval The interval between two attempts
+   *   in a synchronization batch, in ms (500 if null)
+   * @param {Number} options.batchInterval The interval between two
+   *   synchronization batches, in ms (10000 if null). When the policy is
+   *   adaptive, this is the initial interval.
+   * @param {Number} options.minRoundtripThreshold The minimum round trip
+   *   threshold above which sync messages are rejected, in ms (5 if null)
+   * @param {Boolean} options.adaptive Whether to adapt the interval between
+   *   two synchronization batches to the quality of the synchronization
+   *   (true if null)
+   * @param {Number} options.minBatchInterval The minimum interval between two
+   *   synchronization batches in adaptive mode, in ms (2000 if null)
+   * @param {Number} options.maxBatchInterval The maximum interval between two
+   *   synchronization batches in adaptive mode, in ms (60000 if null)
+   * @param {Number} options.targetErrorBound The error bound that the
+   *   adaptive policy aims at, in ms (10 if null)
+   * @param {Number} options.asymmetry Hint about the asymmetry of the network
+   *   path, in other words the difference between the delay from the client
+   *   to the server and the delay from the server to the client, in ms
+   *   (0 if null). An "asymmetry" property in sync messages sent by the
+   *   server takes precedence.
+   */
+  var MessageSyncClock = function (id, transport, options) {
+    // Initialize the base class with default data
+    AbstractSyncClock.call(this);
+
+    // Nothing more to do when the constructor is used to create the
+    // prototype of derived classes
+    if (!transport) {
+      return;
+    }
+
+    var self = this;
+    options = options || {};
+
+
+    /**
+     * Slew settings
+     */
+    var slewSettings = {
+      enabled: !!options.slew,
+      period: options.slewPeriod || defaultSlewPeriod,
+      maxRate: Math.min(options.maxSlewRate || defaultMaxSlewRate, 0.5),
+      stepThreshold: options.stepThreshold || defaultStepThreshold
+    };
+
+
+    /**
+     * Synchronization settings
+     */
+    var syncSettings = {
+      initialAttempts: options.initialAttempts || defaultInitialAttempts,
+      initialInterval: options.initialInterval || defaultInitialInterval,
+      maxAttempts: options.maxAttempts || defaultMaxAttempts,
+      attemptInterval: options.attemptInterval || defaultAttemptInterval,
+      batchInterval: options.batchInterval || defaultBatchInterval,
+      minRoundtripThreshold: options.minRoundtripThreshold ||
+        defaultMinRoundtripThreshold,
+      adaptive: (options.adaptive !== false),
+      minBatchInterval: options.minBatchInterval || defaultMinBatchInterval,
+      maxBatchInterval: options.maxBatchInterval || defaultMaxBatchInterval,
+      targetErrorBound: options.targetErrorBound || defaultTargetErrorBound,
+      asymmetry: options.asymmetry || 0
+    };
+
+
+    /**
+     * The ongoing slew, if any, in other words the skew when the correction
+     * started, the local time at which it started and its duration (in ms).
+     * The correction targets the current skew.
+     */
+    var slew = null;
+
+
+    /**
+     * The last time reported for the current time, and the local time
+     * at which it was reported (used to ensure the clock is monotonic)
+     */
+    var lastLocalTime = 0;
+    var lastReportedTime = 0;
+
+
+    /**
+     * The window of recent samples of the filter stage, in chronological
+     * order, and the local time of the last sample selected by the filter
+     */
+    var filterWindow = [];
+    var lastSelectedTime = -Infinity;
+
+
+    /**
+     * The sliding window of samples selected by the filter stage, used to
+     * estimate the skew and the rate, in chronological order
+     */
+    var samples = [];
+
+
+    /**
+     * The current rate estimate (in ms per ms), and the local time at which
+     * the skew estimate applies. The skew at some other local time is
+     * extrapolated from there.
+     */
+    var rate = 0;
+    var rateReference = 0;
+
+
+    /**
+     * The current interval between two synchronization batches (in ms),
+     * adapted to the quality of the synchronization in adaptive mode
+     */
+    var currentBatchInterval = syncSettings.batchInterval;
+
+
+    /**
+     * Number of sync messages rejected in the current batch
+     */
+    var batchRejections = 0;
+
+
+    /**
+     * The round trip durations of the most recent sync messages that were
+     * not rejected, the number of samples used and rejected so far, and
+     * the estimated maximum error of the clock (in ms). Used to report the
+     * quality of the synchronization.
+     */
+    var roundtrips = [];
+    var acceptedSamples = 0;
+    var rejectedSamples = 0;
+    var errorBound = null;
+    var lastSync = null;
+
+
+    /**
+     * The transport that will be used to exchange sync information with
+     * the reference clock
+     */
+    this.transport = transport;
+
+
+    /**
+     * Minimum round trip detected so far (in ms)
+     */
+    var roundtripMin = 1000;
+
+
+    /**
+     * Current round trip threshold above which the "sync"
+     * request is considered to be a failure (in ms)
+     *
+     * NB: this threshold must always be higher than the minimum round trip
+     */
+    var roundtripThreshold = 1000;
+
+
+    /**
+     * Number of "sync" attempts in the current batch so far.
+     * The clock will attempt up to maxAttempts attempts in a row
+     * each time it wants to synchronize
+     */
+    var attempts = 0;
+
+
+    /**
+     * Valid responses received from the server for the current batch
+     */
+    var initialSyncMessages = [];
+
+
+    /**
+     * ID of the attempt response we are currently waiting for
+     */
+    var attemptId = null;
+
+
+    /**
+     * Counter used to generate attempt IDs
+     */
+    var attemptCounter = 0;
+
+
+    /**
+     * The attempt timeout
+     */
+    var attemptTimeout = null;
+
+
+    /**
+     * Timeout to detect when the server fails to respond in time
+     */
+    var timeoutTimeout = null;
+
+
+    var openHandler = function () {
+      logger.info('transport opened');
+      sendSyncRequest();
+    };
+
+    var closeHandler = function () {
+      logger.log('transport closed');
+      self.close();
+    };
+
+    var messageHandler = function (msg) {
+      var received = time.now();
+
+      if (!msg || (msg.type !== 'sync')) {
+        logger.log('message from server is not a sync message, pass on');
+        return true;
+      }
+
+      if (!msg.client || !msg.server ||
+          !isNumber(msg.client.sent) ||
+          !isNumber(msg.server.received) ||
+          !isNumber(msg.server.sent)) {
+        logger.log('sync message is incomplete, ignore');
+        return true;
+      }
+
+      if (msg.id !== attemptId) {
+        logger.log('sync message is not the expected one, ignore');
+        return true;
+      }
+
+      // Message is for us
+      attempts += 1;
+
+      // Compute round trip duration
+      var roundtripDuration = received - msg.client.sent;
+
+      // Check round trip duration
+      if ((self.readyState !== 'connecting') &&
+          (roundtripDuration > roundtripThreshold)) {
+        logger.log('sync message took too long, ignore');
+        rejectedSamples += 1;
+        batchRejections += 1;
+        updateQuality();
+        return false;
+      }
+
+      if (timeoutTimeout) {
+        // Cancel the timeout set to detect server timeouts.
+        time.clearTimeout(timeoutTimeout);
+        timeoutTimeout = null;
+      }
+      else {
+        // A timeout already occurred
+        // (should have normally be trapped by the check on round trip
+        // duration, but timeout scheduling and the event loop are not
+        // an exact science)
+        logger.log('sync message took too long, ignore');
+        return false;
+      }
+
+      roundtrips.push(roundtripDuration);
+      if (roundtrips.length > driftWindowSize) {
+        roundtrips.shift();
+      }
+
+      // During initialization, simply store the response,
+      // we'll process things afterwards
+      if (self.readyState === 'connecting') {
+        logger.log('sync message during initialization, store');
+        initialSyncMessages.push({
+          received: received,
+          roundtrip: roundtripDuration,
+          msg: msg
+        });
+        if (attempts >= syncSettings.initialAttempts) {
+          initialize();
+          scheduleNextBatch();
+        }
+        else {
+          scheduleNextAttempt();
+        }
+        return false;
+      }
+
+      // Adjust the minimum round trip and threshold if needed
+      if (roundtripDuration < roundtripMin) {
+        roundtripThreshold = Math.ceil(
+          roundtripThreshold * (roundtripDuration / roundtripMin));
+        if (roundtripThreshold < syncSettings.minRoundtripThreshold) {
+          roundtripThreshold = syncSettings.minRoundtripThreshold;
+        }
+        roundtripMin = roundtripDuration;
+      }
+
+
+      // Sync message can be directly added to the filter window
+      // and used to update the skew and rate estimates
+      // (this triggers a "change" event if the estimate changed)
+      addSample(msg, received);
+      processSamples();
+      logger.info('sync message received, skew={}, rate={}', self.skew, rate);
+
+      // No need to schedule another attempt,
+      // let's simply schedule the next sync batch of attempts
+      scheduleNextBatch();
+
+      return false;
+    };
+
+    /**
+     * Helper function to send a "sync" request to the reference clock
+     */
+    var sendSyncRequest = function () {
+      logger.log('send a "sync" request');
+      attemptCounter += 1;
+      attemptId = id + '#' + attemptCounter;
+      self.transport.send({
+        type: 'sync',
+        id: attemptId,
+        client: {
+          sent: time.now()
+        }
+      });
+      attemptTimeout = null;
+
+      timeoutTimeout = time.setTimeout(function () {
+        attempts += 1;
+        timeoutTimeout = null;
+        logger.log('sync request timed out');
+        rejectedSamples += 1;
+        batchRejections += 1;
+        updateQuality();
+        if (attempts >= syncSettings.maxAttempts) {
+          if (self.readyState === 'connecting') {
+            initialize();
+          }
+          else {
+            roundtripThreshold = Math.ceil(roundtripThreshold * 1.20);
+            logger.log('all sync attempts failed, increase threshold to {}',
+              roundtripThreshold);
+            adaptBatchInterval(null);
+          }
+          scheduleNextBatch();
+        }
+        else {
+          scheduleNextAttempt();
+        }
+      }, roundtripThreshold);
+    };
+
+
+    /**
+     * Helper function to schedule the next sync attempt
+     *
+     * @function
+     */
+    var scheduleNextAttempt = function () {
+      var interval = (self.readyState === 'connecting') ?
+        syncSettings.initialInterval :
+        syncSettings.attemptInterval;
+      if (timeoutTimeout) {
+        time.clearTimeout(timeoutTimeout);
+        timeoutTimeout = null;
+      }
+      if (attemptTimeout) {
+        time.clearTimeout(attemptTimeout);
+        attemptTimeout = null;
+      }
+      attemptTimeout = time.setTimeout(sendSyncRequest, interval);
+    };
+
+
+    /**
+     * Helper function to schedule the next batch of sync attempts
+     *
+     * @function
+     */
+    var scheduleNextBatch = function () {
+      if (timeoutTimeout) {
+        time.clearTimeout(timeoutTimeout);
+        timeoutTimeout = null;
+      }
+      if (attemptTimeout) {
+        time.clearTimeout(attemptTimeout);
+        attemptTimeout = null;
+      }
+      attempts = 0;
+      batchRejections = 0;
+      attemptTimeout = time.setTimeout(sendSyncRequest, currentBatchInterval);
+    };
+
+
+    /**
+     * Helper function that computes the initial skew based on the
+     * sync messages received so far and adjust the roundtrip threshold
+     * accordingly.
+     *
+     * The function also sets the clock's ready state to "open".
+     *
+     * @function
+     */
+    var initialize = function () {
+      var msg = null;
+      var pos = 0;
+
+      logger.log('compute initial settings');
+
+      // Feed the filter stage with the messages received
+      initialSyncMessages.forEach(function (message) {
+        addSample(message.msg, message.received);
+      });
+
+      // Sort messages received according to round trip
+      initialSyncMessages.sort(function (a, b) {
+        return a.roundtrip - b.roundtrip;
+      });
+
+      // Compute the initial skew
+      if (initialSyncMessages.length > 0) {
+        msg = initialSyncMessages[0].msg;
+        roundtripMin = initialSyncMessages[0].roundtrip;
+
+        if (isNumber(msg.delta)) {
+          self.delta = msg.delta;
+        }
+
+        processSamples();
+      }
+
+      // Adjust the threshold to preserve at least half of the sync messages
+      // that should have been received.
+      pos = Math.ceil(syncSettings.initialAttempts / 2) - 1;
+      if (pos >= initialSyncMessages.length) {
+        pos = initialSyncMessages.length - 1;
+      }
+      if (pos >= 0) {
+        roundtripThreshold = initialSyncMessages[pos].roundtrip;
+      }
+
+      // Ensure the threshold is not too low compared to the
+      // known minimum roundtrip duration
+      if (roundtripThreshold < roundtripMin * 1.30) {
+        roundtripThreshold = Math.ceil(roundtripMin * 1.30);
+      }
+      if (roundtripThreshold < syncSettings.minRoundtripThreshold) {
+        roundtripThreshold = syncSettings.minRoundtripThreshold;
+      }
+
+      // Clock is ready
+      logger.info('clock is ready: ' +
+        'skew={}, delta={}, roundtrip min={}, threshold={}',
+        self.skew, self.delta, roundtripMin, roundtripThreshold);
+      self.readyState = 'open';
+      initialSyncMessages = [];
+    };
+
+
+    /**
+     * Helper function that returns the skew estimate at the given local time,
+     * extrapolated from the current skew and rate estimates.
+     *
+     * @function
+     * @param {Number} localTime The local time in milliseconds
+     * @returns {Number} The estimated skew
+     */
+    var getEstimatedSkew = function (localTime) {
+      return self.skew + rate * (localTime - rateReference);
+    };
+
+
+    /**
+     * Helper function that returns the skew to apply at the given local time,
+     * taking the ongoing slew into account.
+     *
+     * @function
+     * @param {Number} localTime The local time in milliseconds
+     * @returns {Number} The skew to apply
+     */
+    var getEffectiveSkew = function (localTime) {
+      var elapsed = 0;
+      var target = getEstimatedSkew(localTime);
+      if (!slew) {
+        return target;
+      }
+      elapsed = localTime - slew.start;
+      if (elapsed <= 0) {
+        return slew.from;
+      }
+      else if (elapsed >= slew.duration) {
+        return target;
+      }
+      else {
+        return slew.from + (target - slew.from) * elapsed / slew.duration;
+      }
+    };
+
+
+    /**
+     * Helper function that adds the sample given by a sync message to the
+     * filter window.
+     *
+     * The offset is corrected with the asymmetry hint, and the round trip
+     * does not include the time that the server took to process the request.
+     *
+     * @function
+     * @param {Object} msg The sync message received from the server
+     * @param {Number} received The local time at which the message was
+     *   received
+     */
+    var addSample = function (msg, received) {
+      var asymmetry = isNumber(msg.asymmetry) ?
+        msg.asymmetry :
+        syncSettings.asymmetry;
+
+      filterWindow.push({
+        localTime: (msg.client.sent + received) / 2.0,
+        offset: ((msg.server.sent + msg.server.received) -
+          (msg.client.sent + received)) / 2.0 - asymmetry / 2.0,
+        roundtrip: (received - msg.client.sent) -
+          (msg.server.sent - msg.server.received)
+      });
+      if (filterWindow.length > filterWindowSize) {
+        filterWindow.shift();
+      }
+      acceptedSamples += 1;
+      lastSync = received;
+    };
+
+
+    /**
+     * Helper function that runs the filter stage on the filter window and
+     * updates the skew and rate estimates accordingly.
+     *
+     * As in NTP, the selected sample is only used if it is more recent than
+     * the last one used. The estimates are only updated when they change
+     * beyond their uncertainty.
+     *
+     * The batch interval is adapted to the resulting quality of the
+     * synchronization in adaptive mode.
+     *
+     * @function
+     */
+    var processSamples = function () {
+      var selection = filterSamples(filterWindow, rate);
+      var fit = null;
+
+      if (selection.sample.localTime > lastSelectedTime) {
+        lastSelectedTime = selection.sample.localTime;
+        samples.push({
+          localTime: selection.sample.localTime,
+          offset: selection.sample.offset
+        });
+        if (samples.length > driftWindowSize) {
+          samples.shift();
+        }
+        fit = fitSamples(samples);
+        applyEstimate(fit.offset, fit.rate, fit.reference,
+          selection.jitter + fit.residual);
+      }
+      else {
+        logger.log('no new sample selected');
+        fit = fitSamples(samples);
+      }
+
+      // The offset of a sample is known within half its round trip duration
+      errorBound = selection.sample.roundtrip / 2.0 +
+        selection.jitter + fit.residual;
+      if (self.readyState === 'open') {
+        adaptBatchInterval(fit);
+      }
+      updateQuality();
+    };
+
+
+    /**
+     * Helper function that adapts the interval between two synchronization
+     * batches to the quality of the synchronization, in adaptive mode.
+     *
+     * The interval is halved when the batch failed, when the network gets
+     * jittery (sync messages were rejected during the batch) or when the
+     * estimated error exceeds the target. It is doubled when the rate is
+     * known and the estimated error is well below the target.
+     *
+     * @function
+     * @param {Object} fit The fit computed from the samples, null if the
+     *   batch failed
+     */
+    var adaptBatchInterval = function (fit) {
+      var interval = currentBatchInterval;
+      if (!syncSettings.adaptive) {
+        return;
+      }
+
+      if (!fit || (batchRejections > 0) ||
+          (errorBound > syncSettings.targetErrorBound)) {
+        interval = Math.max(interval / 2, syncSettings.minBatchInterval);
+      }
+      else if ((fit.rate !== 0) &&
+          (errorBound <= syncSettings.targetErrorBound / 2)) {
+        interval = Math.min(interval * 2, syncSettings.maxBatchInterval);
+      }
+
+      if (interval !== currentBatchInterval) {
+        logger.log('adapt batch interval', 'interval=' + interval);
+        currentBatchInterval = interval;
+      }
+    };
+
+
+    /**
+     * Helper function that updates the quality report of the clock
+     * (this triggers a "qualitychange" event if the quality changed)
+     *
+     * @function
+     */
+    var updateQuality = function () {
+      self.quality = {
+        errorBound: errorBound,
+        lastSync: lastSync,
+        acceptedSamples: acceptedSamples,
+        rejectedSamples: rejectedSamples,
+        roundtripMin: (acceptedSamples > 0) ? roundtripMin : null,
+        roundtripMedian: getMedian(roundtrips)
+      };
+    };
+
+
+    /**
+     * Helper function that applies new skew and rate estimates, either right
+     * away or gradually depending on the slew settings.
+     *
+     * New estimates are ignored when they do not change the time that the
+     * clock reports beyond their uncertainty (and at least 1ms), now or at
+     * the next sync batch.
+     *
+     * @function
+     * @param {Number} skew The new skew estimate at the reference local time
+     * @param {Number} newRate The new rate estimate
+     * @param {Number} reference The local time at which the skew estimate
+     *   applies
+     * @param {Number} uncertainty The uncertainty of the new estimates, in ms
+     */
+    var applyEstimate = function (skew, newRate, reference, uncertainty) {
+      var now = time.now();
+      var from = 0;
+      var correction = 0;
+      var target = skew + newRate * (now - reference);
+      var threshold = Math.max(uncertainty, 1);
+
+      if ((self.readyState === 'open') &&
+          (Math.abs(target - getEstimatedSkew(now)) < threshold) &&
+          (Math.abs(newRate - rate) * currentBatchInterval < threshold)) {
+        logger.log('estimate changed within its uncertainty, ignore');
+        return;
+      }
+
+      // The initial skew is always applied right away
+      if (!slewSettings.enabled || (self.readyState !== 'open')) {
+        slew = null;
+        rate = newRate;
+        rateReference = reference;
+        self.skew = skew;
+        return;
+      }
+
+      from = getEffectiveSkew(now);
+      correction = Math.abs(target - from);
+      if (correction >= slewSettings.stepThreshold) {
+        logger.info('skew correction too large, step', 'correction=' + correction);
+        slew = null;
+      }
+      else if (correction === 0) {
+        slew = null;
+      }
+      else {
+        slew = {
+          from: from,
+          start: now,
+          duration: Math.max(slewSettings.period,
+            correction / slewSettings.maxRate)
+        };
+        logger.log('slew skew correction', 'correction=' + correction,
+          'duration=' + slew.duration);
+      }
+      rate = newRate;
+      rateReference = reference;
+      self.skew = skew;
+    };
+
+
+    /**
+     * Returns the time at the reference clock that corresponds to the local
+     * time provided (both in milliseconds since 1 January 1970 00:00:00 UTC)
+     *
+     * In "slew" mode, the returned time takes the ongoing slew into account
+     * and never goes backward for successive local times.
+     *
+     * @function
+     * @param {Number} localTime The local time in milliseconds
+     * @returns {Number} The corresponding time on the reference clock
+     */
+    this.getTime = function (localTime) {
+      var serverTime = localTime + getEffectiveSkew(localTime) - self.delta;
+      if (!slewSettings.enabled || (localTime < lastLocalTime)) {
+        return serverTime;
+      }
+      if (serverTime < lastReportedTime) {
+        serverTime = lastReportedTime;
+      }
+      lastLocalTime = localTime;
+      lastReportedTime = serverTime;
+      return serverTime;
+    };
+
+
+    /**
+     * The current estimate of the rate of the reference clock relative to
+     * the local clock, in ms per ms. For instance, a rate of 0.00002 means
+     * that the reference clock runs 20 microseconds per second faster than
+     * the local clock. The rate is 0 until samples cover a long enough
+     * period.
+     */
+    Object.defineProperty(this, 'rate', {
+      get: function () {
+        return rate;
+      }
+    });
+
+
+    /**
+     * Method that stops the background synchronization
+     */
+    this.stopSync = function () {
+      if (attemptTimeout) {
+        time.clearTimeout(attemptTimeout);
+        attemptTimeout = null;
+      }
+      if (timeoutTimeout) {
+        time.clearTimeout(timeoutTimeout);
+        timeoutTimeout = null;
+      }
+    };
+
+    // Start listening to the transport and check its initial state
+    transport.listen({
+      open: openHandler,
+      close: closeHandler,
+      message: messageHandler
+    });
+    if (transport.readyState === 'open') {
+      logger.info('transport already opened');
+      sendSyncRequest();
+    }
+    else if (transport.readyState === 'closed') {
+      logger.log('transport closed');
+      this.readyState = 'closed';
+    }
+
+    logger.info('created');
+  };
+  MessageSyncClock.prototype = new AbstractSyncClock();
+
+
+  /**
+   * Stops synchronizing the clock with the reference clock
+   *
+   * Note that a closed synchronized clock object cannot be re-used.
+   *
+   * @function
+   */
+  MessageSyncClock.prototype.close = function () {
+    if ((this.readyState === 'closing') ||
+        (this.readyState === 'closed')) {
+      return;
+    }
+    this.readyState = 'closing';
+    this.stopSync();
+    this.transport.unlisten();
+    this.transport = null;
+    this.readyState = 'closed';
+  };
+
+
+  /**
+   * Replies to the "sync" requests received through the given transport with
+   * the local clock, so that clocks at the other end of the communication
+   * channel may synchronize with it.
+   *
+   * Messages are timestamped as early as possible on receipt and as late as
+   * possible before they are sent.
+   *
+   * @function
+   * @static
+   * @param {Object} transport The transport to listen to
+   * @param {Object} options Responder settings
+   * @param {function} options.getTime The function that returns the current
+   *   time of the local clock in ms (the local time source if null)
+   * @param {Number} options.delta The common delta in ms that clocks should
+   *   apply (none if null)
+   * @returns {function} A function that stops replying to requests
+   */
+  MessageSyncClock.respond = function (transport, options) {
+    options = options || {};
+    var getTime = options.getTime || time.now;
+
+    transport.listen({
+      open: function () {},
+      close: function () {},
+      message: function (msg) {
+        var received = getTime();
+        var reply = null;
+        if (!msg || (msg.type !== 'sync')) {
+          return true;
+        }
+        reply = {
+          type: 'sync',
+          id: msg.id,
+          client: {
+            sent: (msg.client || {}).sent
+          },
+          server: {
+            received: received,
+            sent: 0
+          },
+          delta: options.delta
+        };
+        reply.server.sent = getTime();
+        transport.send(reply);
+        return false;
+      }
+    });
+
+    return function () {
+      transport.unlisten();
+    };
+  };
+
+
+  // Expose the class to the outer world
+  return MessageSyncClock;
+});
@@ -0,0 +1,145 @@
+/**
+ * @file A transport that exchanges newline-delimited JSON messages over a
+ * Node.js "net" socket (TCP or IPC), to be used with a MessageSyncClock.
+ *
+ * Each message is serialized as a single line of JSON. Lines that cannot be
+ * parsed as JSON are ignored.
+ */
+
+// Ensure "define" is defined in node.js in the absence of require.js
+// See: https://github.com/jrburke/amdefine
+if (typeof define !== 'function') {
+  var define = require('amdefine')(module);
+}
+
+define(function (require) {
+  var woodman = require('woodman');
+  var logger = woodman.getLogger('NetSocketTransport');
+
+
+  /**
+   * Creates a transport over the given Node.js socket
+   *
+   * @class
+   * @param {net.Socket} socket The socket to use as communication channel
+   */
+  var NetSocketTransport = function (socket) {
+    var handlers = null;
+
+    /**
+     * Data received that does not form a complete line yet
+     */
+    var buffer = '';
+
+
+    /**
+     * Helper functions that handle the socket events
+     */
+    var connectHandler = function () {
+      logger.info('socket connected');
+      if (handlers) {
+        handlers.open();
+      }
+    };
+
+    var closeHandler = function () {
+      logger.log('socket closed');
+      if (handlers) {
+        handlers.close();
+      }
+    };
+
+    var errorHandler = function (err) {
+      logger.warn('socket error', err);
+    };
+
+    var dataHandler = function (data) {
+      var lines = null;
+      buffer += data.toString();
+      lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(function (line) {
+        var msg = null;
+        if (!handlers || !line.trim()) {
+          return;
+        }
+        try {
+          msg = JSON.parse(line);
+        }
+        catch (err) {
+          logger.warn('line received is not JSON, ignore');
+          return;
+        }
+        handlers.message(msg);
+      });
+    };
+
+
+    /**
+     * The underlying socket
+     */
+    this.socket = socket;
+
+
+    /**
+     * The ready state of the transport, derived from that of the socket
+     */
+    Object.defineProperty(this, 'readyState', {
+      get: function () {
+        if (socket.destroyed) {
+          return 'closed';
+        }
+        else if (socket.connecting) {
+          return 'connecting';
+        }
+        else {
+          return 'open';
+        }
+      }
+    });
+
+
+    /**
+     * Sends the given message object over the socket
+     *
+     * @function
+     * @param {Object} message The message to send
+     */
+    this.send = function (message) {
+      socket.write(JSON.stringify(message) + '\n');
+    };
+
+
+    /**
+     * Starts listening to the socket
+     *
+     * @function
+     * @param {Object} listener The "open", "close" and "message" handlers
+     */
+    this.listen = function (listener) {
+      handlers = listener;
+      socket.on('connect', connectHandler);
+      socket.on('close', closeHandler);
+      socket.on('error', errorHandler);
+      socket.on('data', dataHandler);
+    };
+
+
+    /**
+     * Stops listening to the socket. The socket remains open.
+     *
+     * @function
+     */
+    this.unlisten = function () {
+      handlers = null;
+      socket.removeListener('connect', connectHandler);
+      socket.removeListener('close', closeHandler);
+      socket.removeListener('error', errorHandler);
+      socket.removeListener('data', dataHandler);
+    };
+  };
+
+
+  // Expose the class to the outer world
+  return NetSocketTransport;
+});
@@ -0,0 +1,130 @@
+/**
+ * @file Keeps track of the requests sent to the online timing server that
+ * have not yet been acknowledged.
+ *
+ * Requests carry a request ID that the server uses in its reply, either an
+ * "ack" message or an "error" message. The tracker settles the promise
+ * associated with the request when the reply arrives, and rejects it if the
+ * server does not reply in time.
+ */
+
+// Ensure "define" is defined in node.js in the absence of require.js
+// See: https://github.com/jrburke/amdefine
+if (typeof define !== 'function') {
+  var define = require('amdefine')(module);
+}
+
+define(function (require) {
+  var woodman = require('woodman');
+  var logger = woodman.getLogger('RequestTracker');
+
+  var time = require('./time');
+
+
+  // Time to wait for the server to reply to a request before giving up (in ms)
+  var requestTimeout = 5000;
+
+  // Counter used to generate request IDs
+  var requestCounter = 0;
+
+
+  /**
+   * Creates a request tracker
+   *
+   * @class
+   */
+  var RequestTracker = function () {
+    /**
+     * List of requests that have not yet been acknowledged, indexed by
+     * request ID
+     */
+    var pendingRequests = {};
+
+
+    /**
+     * Assigns a request ID to the given request and starts waiting for the
+     * server to acknowledge it. The request must be sent afterwards.
+     *
+     * @function
+     * @param {Object} msg The request, with a "type" property. The function
+     *   sets its "requestId" property.
+     * @returns {Promise} The promise to get the "ack" message sent back by
+     *   the server. The promise is rejected if the server replies with an
+     *   "error" message, if the server does not reply in time or if pending
+     *   requests get rejected in the meantime.
+     */
+    this.track = function (msg) {
+      requestCounter += 1;
+      msg.requestId = requestCounter;
+      return new Promise(function (resolve, reject) {
+        var requestId = msg.requestId;
+        pendingRequests[requestId] = {
+          resolve: resolve,
+          reject: reject,
+          timeout: time.setTimeout(function () {
+            delete pendingRequests[requestId];
+            logger.warn('request timed out', 'type=' + msg.type,
+              'requestId=' + requestId);
+            reject(new Error('Request timed out'));
+          }, requestTimeout)
+        };
+      });
+    };
+
+
+    /**
+     * Settles the pending request that the given message from the server
+     * replies to, if any.
+     *
+     * @function
+     * @param {Object} msg The message received from the server
+     * @returns {Boolean} true if the message was the reply to a pending
+     *   request, false otherwise
+     */
+    this.settle = function (msg) {
+      var request = null;
+      if (!msg || ((msg.type !== 'ack') && (msg.type !== 'error'))) {
+        return false;
+      }
+      request = pendingRequests[msg.requestId];
+      if (!request) {
+        logger.log('reply to unknown request received, ignored',
+          'requestId=' + msg.requestId);
+        return false;
+      }
+      delete pendingRequests[msg.requestId];
+      time.clearTimeout(request.timeout);
+      if (msg.type === 'ack') {
+        logger.log('request acknowledged', 'requestId=' + msg.requestId);
+        request.resolve(msg);
+      }
+      else {
+        logger.warn('request failed', 'requestId=' + msg.requestId,
+          'error=' + msg.error);
+        request.reject(new Error(msg.error || 'Request failed'));
+      }
+      return true;
+    };
+
+
+    /**
+     * Rejects all pending requests, used when the connection is lost or when
+     * the object that sent them gets closed.
+     *
+     * @function
+     * @param {String} reason The reason for the rejection
+     */
+    this.rejectAll = function (reason) {
+      Object.keys(pendingRequests).forEach(function (requestId) {
+        var request = pendingRequests[requestId];
+        delete pendingRequests[requestId];
+        time.clearTimeout(request.timeout);
+        request.reject(new Error(reason));
+      });
+    };
+  };
+
+
+  // Expose the class to the outer world
+  return RequestTracker;
+});
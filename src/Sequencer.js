@@ -0,0 +1,358 @@
+/**
+ * @file A sequencer fires events when the motion of a timing object enters
+ * or exits cues.
+ *
+ * Cues are either point cues, attached to a given position, or interval cues,
+ * attached to an interval of positions. Cues are identified by an ID.
+ *
+ * The sequencer dispatches:
+ * - an "enter" event when the motion enters an interval cue or reaches a point
+ * cue;
+ * - an "exit" event when the motion exits an interval cue or leaves a point
+ * cue.
+ *
+ * The times at which the motion crosses the boundaries of the cues are
+ * computed from the motion equations of the timing object's state vector.
+ * The sequencer schedules the next crossing accordingly, and re-schedules
+ * things whenever the timing object's vector changes. Jumps in the motion
+ * (e.g. when the position gets updated) produce the right "enter" and "exit"
+ * events as well.
+ *
+ * Note that the precision of the events depends on the event loop congestion
+ * as the sequencer relies on "setTimeout" to fire events.
+ */
+
+// Ensure "define" is defined in node.js in the absence of require.js
+// See: https://github.com/jrburke/amdefine
+if (typeof define !== 'function') {
+  var define = require('amdefine')(module);
+}
+
+define(function (require) {
+  var woodman = require('woodman');
+  var logger = woodman.getLogger('Sequencer');
+
+  var EventTarget = require('event-target');
+  var Interval = require('./Interval');
+  var isNumber = require('./utils').isNumber;
+  var time = require('./time');
+
+
+  /**
+   * Constructor of a sequencer
+   *
+   * @class
+   * @param {TimingObject} timing The timing object that drives the sequencer
+   */
+  var Sequencer = function (timing) {
+    var self = this;
+
+    if (!timing) {
+      throw new Error('No timing object provided');
+    }
+
+    /**
+     * The timing object that drives the sequencer
+     */
+    this.timing = timing;
+
+    /**
+     * The list of cues, indexed by ID. Each cue is an object with "id",
+     * "interval" and "data" properties.
+     */
+    var cues = {};
+
+    /**
+     * The IDs of the cues that the motion is currently in
+     */
+    var activeCues = {};
+
+    /**
+     * The ID of the timeout used to process the next crossings
+     */
+    var crossingTimeoutId = null;
+
+    /**
+     * The motion vector used to compute the crossings and the time up to
+     * which crossings have already been processed
+     */
+    var vector = null;
+    var processedTimestamp = 0.0;
+
+
+    /**
+     * Helper function that dispatches an "enter" or "exit" event for the
+     * given cue, provided the state of the cue actually changes.
+     */
+    var transition = function (type, cue) {
+      if ((type === 'enter') && !activeCues[cue.id]) {
+        activeCues[cue.id] = true;
+      }
+      else if ((type === 'exit') && activeCues[cue.id]) {
+        delete activeCues[cue.id];
+      }
+      else {
+        return;
+      }
+      logger.log('dispatch "' + type + '" event', 'id=' + cue.id);
+      self.dispatchEvent({
+        type: type,
+        value: cue
+      });
+    };
+
+
+    /**
+     * Helper function that computes the boundary crossings of the current
+     * vector that occur strictly after the given time, and before or at the
+     * given time limit if one is given. Exits of active cues that occur at
+     * the given time are included as well, e.g. when the motion starts to
+     * move away from a point cue.
+     *
+     * Crossings are returned in chronological order. Exits are sorted
+     * before entries when they occur at the same time. Point cues give
+     * a single "pass" crossing, sorted last.
+     */
+    var computeCrossings = function (after, limit) {
+      var crossings = [];
+      var ranks = { exit: 0, enter: 1, pass: 2 };
+
+      Object.keys(cues).forEach(function (id) {
+        var cue = cues[id];
+        vector.computeCrossings(cue.interval, after, limit).forEach(
+          function (crossing) {
+            if ((crossing.timestamp < after) ||
+                ((crossing.timestamp === after) &&
+                  (!activeCues[id] || (crossing.type === 'enter')))) {
+              return;
+            }
+            crossings.push({
+              timestamp: crossing.timestamp,
+              cue: cue,
+              type: crossing.type
+            });
+          });
+      });
+
+      crossings.sort(function (a, b) {
+        return (a.timestamp - b.timestamp) || (ranks[a.type] - ranks[b.type]);
+      });
+      return crossings;
+    };
+
+
+    /**
+     * Helper function that processes all the crossings that should have
+     * occurred by now and schedules the next one.
+     */
+    var processCrossings = function () {
+      var now = time.now() / 1000.0;
+      var currentVector = vector;
+      crossingTimeoutId = null;
+
+      computeCrossings(processedTimestamp, now).forEach(function (crossing) {
+        // Event listeners may have updated the timing object in the meantime,
+        // in which case the remaining crossings are no longer relevant
+        if (vector !== currentVector) {
+          return;
+        }
+        if (crossing.type === 'pass') {
+          transition('enter', crossing.cue);
+          transition('exit', crossing.cue);
+        }
+        else {
+          transition(crossing.type, crossing.cue);
+        }
+      });
+      if (vector !== currentVector) {
+        return;
+      }
+      processedTimestamp = Math.max(processedTimestamp, now);
+      scheduleNextCrossing();
+    };
+
+
+    /**
+     * Helper function that schedules the processing of the next crossing
+     */
+    var scheduleNextCrossing = function () {
+      var crossings = null;
+      if (crossingTimeoutId) {
+        time.clearTimeout(crossingTimeoutId);
+        crossingTimeoutId = null;
+      }
+      if (!vector) {
+        return;
+      }
+
+      crossings = computeCrossings(processedTimestamp);
+      if (crossings.length === 0) {
+        logger.log('no crossing to schedule');
+        return;
+      }
+      logger.log('schedule next crossing',
+        'id=' + crossings[0].cue.id,
+        'delay=' + (crossings[0].timestamp * 1000.0 - time.now()));
+      crossingTimeoutId = time.setTimeout(processCrossings,
+        Math.max(crossings[0].timestamp * 1000.0 - time.now(), 0));
+    };
+
+
+    /**
+     * Helper function that reads the current vector of the timing object,
+     * updates the list of active cues accordingly, dispatching "enter" and
+     * "exit" events as needed, and re-schedules upcoming crossings.
+     *
+     * The function must be called whenever the vector or the list of cues
+     * changes.
+     */
+    var reevaluate = function () {
+      vector = timing.query();
+      processedTimestamp = vector.timestamp;
+
+      var exits = [];
+      var enters = [];
+      Object.keys(activeCues).forEach(function (id) {
+        if (!cues[id].interval.covers(vector.position)) {
+          exits.push(cues[id]);
+        }
+      });
+      Object.keys(cues).forEach(function (id) {
+        if (!activeCues[id] && cues[id].interval.covers(vector.position)) {
+          enters.push(cues[id]);
+        }
+      });
+
+      exits.forEach(function (cue) {
+        transition('exit', cue);
+      });
+      enters.forEach(function (cue) {
+        transition('enter', cue);
+      });
+
+      scheduleNextCrossing();
+    };
+
+
+    /**
+     * Adds a cue to the sequencer, replacing the cue with the same ID
+     * if there is one.
+     *
+     * The sequencer dispatches an "enter" event right away if the motion is
+     * currently in the cue.
+     *
+     * @function
+     * @param {String} id The ID of the cue
+     * @param {Number|Interval|Object} interval The position of a point cue,
+     *   or the interval of an interval cue (an Interval or an object that can
+     *   be passed to the Interval constructor)
+     * @param {*} data Application data to attach to the cue
+     * @returns {Object} The cue
+     */
+    this.addCue = function (id, interval, data) {
+      if (isNumber(interval)) {
+        interval = new Interval({
+          low: interval,
+          lowInclude: true,
+          high: interval,
+          highInclude: true
+        });
+      }
+      else if (!(interval instanceof Interval)) {
+        interval = new Interval(interval);
+      }
+
+      var cue = {
+        id: id,
+        interval: interval,
+        data: data
+      };
+      if (cues[id]) {
+        // The motion may not be in the new cue
+        transition('exit', cues[id]);
+      }
+      cues[id] = cue;
+      logger.log('cue added', 'id=' + id);
+      reevaluate();
+      return cue;
+    };
+
+
+    /**
+     * Removes the cue with the given ID from the sequencer.
+     *
+     * The sequencer dispatches an "exit" event right away if the motion is
+     * currently in the cue.
+     *
+     * @function
+     * @param {String} id The ID of the cue to remove
+     * @returns {Object} The removed cue, null if not found
+     */
+    this.removeCue = function (id) {
+      var cue = cues[id] || null;
+      if (!cue) {
+        return null;
+      }
+      transition('exit', cue);
+      delete cues[id];
+      logger.log('cue removed', 'id=' + id);
+      scheduleNextCrossing();
+      return cue;
+    };
+
+
+    /**
+     * Returns the cue with the given ID
+     *
+     * @function
+     * @param {String} id The ID of the cue
+     * @returns {Object} The cue, null if not found
+     */
+    this.getCue = function (id) {
+      return cues[id] || null;
+    };
+
+
+    /**
+     * Returns the list of cues that the motion is currently in
+     *
+     * @function
+     * @returns {Array(Object)} The list of active cues
+     */
+    this.getActiveCues = function () {
+      return Object.keys(activeCues).map(function (id) {
+        return cues[id];
+      });
+    };
+
+
+    /**
+     * Stops the sequencer. No more events get dispatched afterwards.
+     *
+     * @function
+     */
+    this.close = function () {
+      timing.removeEventListener('change', reevaluate);
+      vector = null;
+      scheduleNextCrossing();
+      logger.info('closed');
+    };
+
+
+    // Re-schedule cues whenever the motion changes
+    timing.addEventListener('change', reevaluate);
+    reevaluate();
+
+    logger.info('created');
+  };
+
+
+  // Sequencer implements EventTarget
+  Sequencer.prototype.addEventListener = EventTarget.addEventListener;
+  Sequencer.prototype.removeEventListener = EventTarget.removeEventListener;
+  Sequencer.prototype.dispatchEvent = EventTarget.dispatchEvent;
+
+
+  // Expose the class to the outer world
+  return Sequencer;
+});
@@ -0,0 +1,98 @@
+/**
+ * @file A timing converter that offsets the position of a source timing
+ * object by a constant skew, e.g. to show a second screen 30 seconds ahead.
+ *
+ * Velocity and acceleration are those of the source timing object. The range
+ * is offset as well.
+ */
+
+// Ensure "define" is defined in node.js in the absence of require.js
+// See: https://github.com/jrburke/amdefine
+if (typeof define !== 'function') {
+  var define = require('amdefine')(module);
+}
+
+define(function (require) {
+  var AbstractTimingConverter = require('./AbstractTimingConverter');
+  var Interval = require('./Interval');
+  var isNumber = require('./utils').isNumber;
+
+
+  /**
+   * Creates a skew converter
+   *
+   * @class
+   * @param {TimingObject} timingObject The source timing object
+   * @param {Number} skew The offset added to the position of the source
+   *   timing object
+   * @param {Object} options Timing provider settings, see
+   *   AbstractTimingProvider
+   */
+  var SkewConverter = function (timingObject, skew, options) {
+    /**
+     * The offset added to the position of the source timing object. Must be
+     * set before the base class reads the motion of the source.
+     */
+    this.skew = skew || 0.0;
+
+    AbstractTimingConverter.call(this, timingObject, options);
+  };
+  SkewConverter.prototype = new AbstractTimingConverter();
+
+
+  /**
+   * Adds the skew to the position of the given vector
+   *
+   * @function
+   * @param {Object} vector The vector of the source timing object
+   * @returns {Object} The vector of the derived motion
+   */
+  SkewConverter.prototype.toDerivedVector = function (vector) {
+    return {
+      position: isNumber(vector.position) ?
+        vector.position + this.skew :
+        null,
+      velocity: vector.velocity,
+      acceleration: vector.acceleration
+    };
+  };
+
+
+  /**
+   * Removes the skew from the position of the given vector
+   *
+   * @function
+   * @param {Object} vector The vector of the derived motion
+   * @returns {Object} The vector of the source timing object
+   */
+  SkewConverter.prototype.toSourceVector = function (vector) {
+    return {
+      position: isNumber(vector.position) ?
+        vector.position - this.skew :
+        null,
+      velocity: vector.velocity,
+      acceleration: vector.acceleration
+    };
+  };
+
+
+  /**
+   * Offsets the bounds of the given range by the skew
+   *
+   * @function
+   * @param {Interval} range The range of the source timing object
+   * @returns {Interval} The range of the derived motion
+   */
+  SkewConverter.prototype.toDerivedRange = function (range) {
+    return new Interval({
+      low: range.low + this.skew,
+      lowInclude: range.lowInclude,
+      high: range.high + this.skew,
+      highInclude: range.highInclude
+    });
+  };
+
+
+  // Expose the class to the outer world
+  return SkewConverter;
+});
@@ -0,0 +1,364 @@
+/**
+ * @file A connection to an online timing server that may be shared among
+ * socket timing provider objects.
+ *
+ * The connection pools one Web socket and one synchronized clock per server
+ * URL. Socket timing provider objects that follow timing objects on the same
+ * server use channels on top of that connection. Socket timing provider
+ * objects that do not share their Web socket use a connection of their own. Messages that the server
+ * sends are routed to the channels according to the ID of the timing object
+ * they relate to, while "sync" messages are handled by the shared clock.
+ *
+ * The connection reconnects to the server with an exponential backoff when
+ * the connection is lost, creating a new synchronized clock over the new
+ * socket. It gets closed when the last channel stops listening to it.
+ *
+ * Channels implement the transport interface described in MessageSyncClock.
+ */
+
+// Ensure "define" is defined in node.js in the absence of require.js
+// See: https://github.com/jrburke/amdefine
+if (typeof define !== 'function') {
+  var define = require('amdefine')(module);
+}
+
+define(function (require) {
+  var woodman = require('woodman');
+  var logger = woodman.getLogger('SocketConnection');
+
+  var SocketSyncClock = require('./SocketSyncClock');
+  var WebSocketTransport = require('./WebSocketTransport');
+  var W3CWebSocket = require('./W3CWebSocket');
+  var isNumber = require('./utils').isNumber;
+  var time = require('./time');
+
+
+  // Web Sockets ready state constants
+  var CLOSED = 3;
+
+
+  /**
+   * The pool of shared connections, indexed by server URL
+   */
+  var connections = {};
+
+
+  /**
+   * Returns the URL of the server that hosts the timing object with the given
+   * URL, in other words the URL without its path.
+   *
+   * @function
+   * @private
+   * @param {String} url The Web socket URL of the timing object
+   * @returns {String} The Web socket URL of the server
+   */
+  var getServerUrl = function (url) {
+    var match = url.match(/^wss?:\/\/[^\/?#]+/);
+    return match ? match[0] : url;
+  };
+
+
+  /**
+   * Creates a connection to the online timing server
+   *
+   * @class
+   * @param {String} url The Web socket URL of the server
+   * @param {Object} options Connection settings
+   * @param {Boolean} options.reconnect Whether to reconnect to the server when
+   *   the connection is lost (true if null)
+   * @param {Number} options.reconnectDelay The initial delay before
+   *   reconnecting, in ms (1000 if null)
+   * @param {Number} options.reconnectMaxDelay The maximum delay before
+   *   reconnecting, in ms (30000 if null)
+   * @param {Number} options.reconnectFactor The factor applied to the delay
+   *   after each failed attempt (2 if null)
+   * @param {Number} options.reconnectAttempts The maximum number of
+   *   reconnection attempts in a row before giving up (no limit if null)
+   * @param {Object|Boolean} options.clock Settings of the synchronized
+   *   clock, see SocketSyncClock. No clock is synchronized over the
+   *   connection if false.
+   * @param {function} options.WebSocket The WebSocket constructor to use
+   *   (the W3C WebSocket implementation if null)
+   */
+  var SocketConnection = function (url, options) {
+    var self = this;
+    options = options || {};
+
+    /**
+     * Reconnection settings
+     */
+    var reconnect = {
+      enabled: (options.reconnect !== false),
+      delay: options.reconnectDelay || 1000,
+      maxDelay: options.reconnectMaxDelay || 30000,
+      factor: options.reconnectFactor || 2,
+      maxAttempts: isNumber(options.reconnectAttempts) ?
+        options.reconnectAttempts :
+        Infinity
+    };
+
+    /**
+     * The WebSocket constructor to use
+     */
+    var WebSocket = options.WebSocket || W3CWebSocket;
+
+    /**
+     * Number of reconnection attempts since the connection was lost, and
+     * ID of the timeout used to schedule the next attempt
+     */
+    var reconnectAttempts = 0;
+    var reconnectTimeoutId = null;
+
+    /**
+     * The ready state of the connection: "connecting", "open",
+     * "reconnecting" or "closed"
+     */
+    var readyState = 'connecting';
+
+    /**
+     * The handlers of the channels that listen to the connection, indexed
+     * by timing object ID
+     */
+    var channels = {};
+
+
+    /**
+     * The Web socket URL of the server
+     */
+    this.url = url;
+
+    /**
+     * The current Web socket, and the clock synchronized with the server over
+     * that socket
+     */
+    this.socket = null;
+    this.clock = null;
+
+    /**
+     * The transport that the connection uses to listen to the current socket
+     */
+    var transport = null;
+
+    Object.defineProperty(this, 'readyState', {
+      get: function () {
+        return readyState;
+      }
+    });
+
+
+    /**
+     * Helper function that runs the given function on the handlers of all
+     * channels, or only on those of the channels of the given timing object
+     */
+    var forEachChannel = function (callback, id) {
+      Object.keys(channels).forEach(function (channelId) {
+        if ((id === undefined) || (channelId === id)) {
+          // (channels may stop listening in the meantime)
+          (channels[channelId] || []).slice().forEach(callback);
+        }
+      });
+    };
+
+
+    /**
+     * Helper functions that handle the Web socket events
+     */
+    var openHandler = function () {
+      logger.info('WebSocket client connected', 'url=' + url);
+      readyState = 'open';
+      reconnectAttempts = 0;
+      forEachChannel(function (handlers) {
+        handlers.open();
+      });
+    };
+
+    var closeHandler = function () {
+      logger.info('WebSocket closed', 'url=' + url);
+      if (readyState === 'closed') {
+        return;
+      }
+
+      if (!reconnect.enabled || (reconnectAttempts >= reconnect.maxAttempts)) {
+        self.close();
+        return;
+      }
+
+      var delay = Math.min(
+        reconnect.delay * Math.pow(reconnect.factor, reconnectAttempts),
+        reconnect.maxDelay);
+      reconnectAttempts += 1;
+      readyState = 'reconnecting';
+      logger.info('reconnect in {}ms', delay, 'attempt=' + reconnectAttempts);
+      reconnectTimeoutId = time.setTimeout(connect, delay);
+      forEachChannel(function (handlers) {
+        handlers.close();
+      });
+    };
+
+    var messageHandler = function (msg) {
+      if (!channels[msg.id]) {
+        logger.log('message for unknown timing object, pass on',
+          'id=' + msg.id);
+        return true;
+      }
+      forEachChannel(function (handlers) {
+        handlers.message(msg);
+      }, msg.id);
+      return false;
+    };
+
+
+    /**
+     * Helper function that connects to the Web socket server and starts the
+     * synchronization of a new clock over the new socket.
+     *
+     * @function
+     */
+    var connect = function () {
+      reconnectTimeoutId = null;
+      if (transport) {
+        transport.unlisten();
+      }
+      self.socket = new WebSocket(url, 'echo-protocol');
+      transport = new WebSocketTransport(self.socket);
+      transport.listen({
+        open: openHandler,
+        close: closeHandler,
+        message: messageHandler
+      });
+
+      // Channels switch to the new clock once it is synchronized
+      if (options.clock !== false) {
+        self.clock = new SocketSyncClock(url, self.socket, options.clock);
+      }
+    };
+
+
+    /**
+     * Creates a channel for the timing object with the given ID on top of the
+     * connection. The channel implements the transport interface described
+     * in MessageSyncClock. It receives the messages that relate to the timing
+     * object, and is considered closed while the connection is lost.
+     *
+     * The connection gets closed when all channels stop listening to it.
+     *
+     * @function
+     * @param {String} id The ID of the timing object
+     * @returns {Object} The channel
+     */
+    this.createChannel = function (id) {
+      var handlers = null;
+      var channel = {};
+
+      Object.defineProperty(channel, 'readyState', {
+        get: function () {
+          if (readyState === 'open') {
+            return 'open';
+          }
+          else if (readyState === 'closed') {
+            return 'closed';
+          }
+          else {
+            return 'connecting';
+          }
+        }
+      });
+
+      channel.send = function (message) {
+        if ((message.type === 'unsubscribe') && (channels[id].length > 1)) {
+          // Other channels still follow the timing object
+          logger.log('other channels still subscribed, ignore unsubscribe',
+            'id=' + id);
+          return;
+        }
+        transport.send(message);
+      };
+
+      channel.listen = function (listener) {
+        handlers = listener;
+        channels[id] = channels[id] || [];
+        channels[id].push(handlers);
+      };
+
+      channel.unlisten = function () {
+        if (!handlers || !channels[id]) {
+          return;
+        }
+        channels[id] = channels[id].filter(function (other) {
+          return other !== handlers;
+        });
+        if (channels[id].length === 0) {
+          delete channels[id];
+        }
+        handlers = null;
+        if (Object.keys(channels).length === 0) {
+          logger.info('no more channels, close connection', 'url=' + url);
+          self.close();
+        }
+      };
+
+      return channel;
+    };
+
+
+    /**
+     * Closes the connection, stopping reconnection attempts and the
+     * synchronization of the clock. Channels still listening to the
+     * connection are notified.
+     *
+     * @function
+     */
+    this.close = function () {
+      if (readyState === 'closed') {
+        return;
+      }
+      readyState = 'closed';
+      if (connections[url] === self) {
+        delete connections[url];
+      }
+      if (reconnectTimeoutId) {
+        time.clearTimeout(reconnectTimeoutId);
+        reconnectTimeoutId = null;
+      }
+      if (self.clock) {
+        self.clock.close();
+      }
+      transport.unlisten();
+      if (self.socket.readyState !== CLOSED) {
+        self.socket.close();
+      }
+      forEachChannel(function (handlers) {
+        handlers.close();
+      });
+      logger.info('closed', 'url=' + url);
+    };
+
+
+    connect();
+    logger.info('created', 'url=' + url);
+  };
+
+
+  /**
+   * Returns the shared connection to the server that hosts the timing object
+   * with the given URL, creating the connection if needed.
+   *
+   * @function
+   * @static
+   * @param {String} url The Web socket URL of the timing object
+   * @param {Object} options Settings of the connection if it needs to be
+   *   created, see the constructor
+   * @returns {SocketConnection} The shared connection
+   */
+  SocketConnection.get = function (url, options) {
+    var serverUrl = getServerUrl(url);
+    if (!connections[serverUrl]) {
+      connections[serverUrl] = new SocketConnection(serverUrl, options);
+    }
+    return connections[serverUrl];
+  };
+
+
+  // Expose the class to the outer world
+  return SocketConnection;
+});
@@ -2,30 +2,59 @@
  * @file A timing provider object associated with an online timing server
  * using WebSockets.
  *
- * The socket timing provider object can send 3 different types of commands to
+ * The socket timing provider object can send 4 different types of commands to
  * the WebSockets server:
- * - info: to retrieve the current media state vector (only done to initialize
- *   the object to the right settings)
- * - update: to update the media state vector
+ * - subscribe: to receive "change" events about the timing object, the server
+ *   replies with the current media state vector (only done to initialize the
+ *   object to the right settings)
+ * - unsubscribe: to stop receiving "change" events, when the socket is shared
+ *   with other objects and the timing provider object gets closed
+ * - update: to update the media state vector, possibly at a given time
+ * - cancel: to cancel an update scheduled to take effect at a given time
  * - sync: to synchronize local clock with remote clock
  *
- * The socket timing provider object can receive 3 different types of responses:
- * - info: Information about the timing object on the server
+ * Update and cancel commands carry a request ID that the server uses in its
+ * reply.
+ *
+ * The socket timing provider object can receive 7 different types of responses:
+ * - info: Information about the timing object on the server, including
+ *   the list of scheduled updates
  * - change: an update event, meaning the underlying vector was changed
+ * - schedule: the list of scheduled updates changed
+ * - delete: the timing object was deleted on the server
+ * - ack: the acknowledgement of a request, along with the resulting vector
+ * - error: the request could not be processed
  * - sync: response to the sync command
  *
  * The socket timing provider object does not handle the creation and deletion
- * of the online timing object it is associated with on the server. This should
- * be done in separate factory methods.
+ * of the online timing object it is associated with on the server. This is
+ * done in SocketTimingProviderFactory. The socket timing provider object gets
+ * closed when the online timing object is deleted.
  *
  * The socket timing provider object computes an approximation of the skew
  * between the local clock and the server clock on a regular basis (several
  * times per minute). It adjusts the timestamp of change events received from
- * the server automatically based on that computation.
+ * the server automatically based on that computation. The quality of that
+ * synchronization is exposed through the "quality" property, and changes
+ * to it trigger "qualitychange" events.
  *
  * The socket timing provider object tries to trigger change events only when
  * appropriate meaning it will queue events that it believes need to be
- * triggered in the future.
+ * triggered in the future. Scheduled updates are queued in the same way: the
+ * server broadcasts them ahead of time, and all clients apply them on their
+ * own at the time they were scheduled for, on the timeline of the server
+ * clock.
+ *
+ * When the connection with the server is lost, the socket timing provider
+ * object switches to the "reconnecting" state and tries to reconnect with an
+ * exponential backoff. The motion keeps being extrapolated from the last known
+ * vector in the meantime. Once reconnected, the clock is synchronized again
+ * and a "change" event is triggered if the vector changed on the server.
+ *
+ * The Web socket that the object creates is managed by a SocketConnection,
+ * which handles reconnections. Socket timing provider objects that follow
+ * timing objects on the same server may share a single connection, and thus
+ * a single Web socket and a single synchronized clock.
  */
 
 // Ensure "define" is defined in node.js in the absence of require.js
@@ -41,23 +70,34 @@ define(function (require) {
   var AbstractTimingProvider = require('./AbstractTimingProvider');
   var StateVector = require('./StateVector');
   var SocketSyncClock = require('./SocketSyncClock');
+  var SocketConnection = require('./SocketConnection');
+  var WebSocketTransport = require('./WebSocketTransport');
+  var RequestTracker = require('./RequestTracker');
   var isNull = require('./utils').isNull;
-  var stringify = require('./utils').stringify;
-  
-  var W3CWebSocket = null;
-  try {
-    W3CWebSocket = require('websocket').w3cwebsocket;
-  }
-  catch (err) {
-    W3CWebSocket = window.WebSocket;
-  }
+  var isNumber = require('./utils').isNumber;
+  var time = require('./time');
 
 
-  // Web Sockets ready state constants
-  var CONNECTING = 0;
-  var OPEN = 1;
-  var CLOSING = 2;
-  var CLOSED = 3;
+  /**
+   * Converts a vector expressed on the server timeline into a vector
+   * expressed on the local timeline, based on the given synchronized clock's
+   * readings.
+   *
+   * @function
+   * @private
+   * @param {Object} vector The vector on the server timeline
+   * @param {AbstractSyncClock} clock The clock synchronized with the server
+   * @returns {StateVector} The vector on the local timeline
+   */
+  var toLocalVector = function (vector, clock) {
+    var now = time.now();
+    return new StateVector({
+      position: vector.position,
+      velocity: vector.velocity,
+      acceleration: vector.acceleration,
+      timestamp: vector.timestamp + (now - clock.getTime(now)) / 1000.0
+    });
+  };
 
 
   /**
@@ -71,8 +111,33 @@ define(function (require) {
    * @param {AbstractSyncClock} clock A clock to use for synchronization with
    *   the online server clock. If not given, a clock that uses the underlying
    *   WebSocket will be created and used.
+   * @param {Object} options Timing provider settings
+   * @param {Boolean} options.reconnect Whether to reconnect to the server when
+   *   the connection is lost (true if null). Only possible when the socket is
+   *   not provided.
+   * @param {Number} options.reconnectDelay The initial delay before
+   *   reconnecting, in ms (1000 if null)
+   * @param {Number} options.reconnectMaxDelay The maximum delay before
+   *   reconnecting, in ms (30000 if null)
+   * @param {Number} options.reconnectFactor The factor applied to the delay
+   *   after each failed attempt (2 if null)
+   * @param {Number} options.reconnectAttempts The maximum number of
+   *   reconnection attempts in a row before giving up (no limit if null)
+   * @param {Object} options.clock Settings of the clock that the object
+   *   creates when no clock is given, see SocketSyncClock
+   * @param {Boolean} options.shared Whether to share the Web socket and the
+   *   synchronized clock with other socket timing provider objects connected
+   *   to the same server (false if null). Only possible when neither the
+   *   socket nor the clock are provided. The reconnection and clock settings
+   *   of the first object that connects to the server apply.
+   * @param {function} options.WebSocket The WebSocket constructor to use
+   *   (the W3C WebSocket implementation if null)
+   * @param {Number} options.history The number of past vectors to keep, see
+   *   AbstractTimingProvider
+   * @param {Number|Object} options.tolerance The tolerance used to compare
+   *   vectors, see AbstractTimingProvider
    */
-  var SocketTimingProvider = function (url, socket, clock) {
+  var SocketTimingProvider = function (url, socket, clock, options) {
     var self = this;
 
     /**
@@ -94,23 +159,116 @@ define(function (require) {
         return serverVector;
       },
       set: function (vector) {
-        var now = Date.now();
+        var now = time.now();
         serverVector = vector;
-        self.vector = new StateVector({
-          position: vector.position,
-          velocity: vector.velocity,
-          acceleration: vector.acceleration,
-          timestamp: vector.timestamp + (now - self.clock.getTime(now)) / 1000.0
-        });
+        vectorOffset = now - self.clock.getTime(now);
+        self.vector = toLocalVector(vector, self.clock);
       }
     });
 
+    /**
+     * The offset between the local clock and the server clock (in ms) that
+     * was used to convert the server vector into the exposed vector.
+     *
+     * The synchronized clock's readings evolve over time. The offset is used
+     * to correct queries accordingly.
+     */
+    var vectorOffset = 0;
+
+
+    /**
+     * The quality of the synchronization with the server clock, as reported
+     * by the synchronized clock (null if there is no clock). See
+     * AbstractSyncClock for details.
+     */
+    Object.defineProperty(this, 'quality', {
+      get: function () {
+        return self.clock ? self.clock.quality : null;
+      }
+    });
+
+
+    /**
+     * Returns a new StateVector that represents the motion's position,
+     * velocity and acceleration at the current local time.
+     *
+     * The vector is evaluated at the current time on the server as reported
+     * by the synchronized clock, so that clock adjustments apply right away
+     * (and gradually if the clock slews its adjustments).
+     *
+     * @function
+     * @returns {StateVector} A new StateVector object that represents
+     *   the motion's position, velocity and acceleration at the current local
+     *   time.
+     */
+    this.query = function () {
+      var vector = self.queryAt(time.now() / 1000.0);
+      logger.log('query', vector);
+      return vector;
+    };
+
+
+    /**
+     * Returns a new StateVector that represents the motion's position,
+     * velocity and acceleration at the given time, expressed either in the
+     * local timeline or in the timeline of the server clock.
+     *
+     * As in "query", the vector is evaluated according to the current
+     * readings of the synchronized clock.
+     *
+     * @function
+     * @param {Number} timestamp The time in seconds
+     * @param {String} timeline The timeline of the given time, either
+     *   "local" or "server" ("local" if null)
+     * @returns {StateVector} A new StateVector object that represents
+     *   the motion's position, velocity and acceleration at the given time.
+     *   The timestamp of the vector is a local time.
+     */
+    this.queryAt = function (timestamp, timeline) {
+      var now = time.now();
+      var offset = 0.0;
+      var correction = 0.0;
+      var localTime = timestamp * 1000.0;
+      var vector = null;
+      if (serverVector) {
+        offset = now - self.clock.getTime(now);
+        correction = vectorOffset - offset;
+        if (timeline === 'server') {
+          localTime += offset;
+        }
+      }
+      vector = self.computeVector((localTime + correction) / 1000.0);
+      vector.timestamp = localTime / 1000.0;
+      return vector;
+    };
+
+    /**
+     * The requests sent to the server that have not yet been acknowledged
+     */
+    var requests = new RequestTracker();
+
+    options = options || {};
+    var connectionOptions = null;
+
+    /**
+     * The clock that is being synchronized over the current connection
+     */
+    var connectingClock = null;
+
     /**
      * List of "change" events already received from the server but
-     * whose estimated timestamps lie in the future
+     * whose estimated timestamps lie in the future, along with the scheduled
+     * updates that have not been applied yet. Scheduled updates are partial
+     * vectors and are not instances of StateVector.
      */
     var pendingChanges = [];
 
+    /**
+     * The updates scheduled on the server, as last reported by the server
+     * (timestamps are on the timeline of the server clock)
+     */
+    var scheduledUpdates = [];
+
     /**
      * The ID of the timeout used to trigger the first of the remaining
      * pending change events to process
@@ -132,7 +290,7 @@ define(function (require) {
         return;
       }
 
-      var now = Date.now();
+      var now = time.now();
       var vector = pendingChanges[0];
       var localTimestamp = (vector.timestamp * 1000.0) +
         now - self.clock.getTime(now);
@@ -142,10 +300,11 @@ define(function (require) {
       var applyNextPendingChange = function () {
         // Since we cannot control when this function runs precisely,
         // note we may have to skip over the first few changes. We'll
-        // only trigger the change that is closest to now
+        // only trigger the change that is closest to now, along with the
+        // scheduled updates that follow it since they build on it
         logger.log('apply next pending change');
-        var now = Date.now();
-        var vector = pendingChanges.shift();
+        var now = time.now();
+        var changes = [pendingChanges.shift()];
         var nextVector = null;
         var localTimestamp = 0.0;
         while (pendingChanges.length > 0) {
@@ -155,15 +314,25 @@ define(function (require) {
           if (localTimestamp > now) {
             break;
           }
-          vector = pendingChanges.shift();
+          if (nextVector instanceof StateVector) {
+            changes = [];
+          }
+          changes.push(pendingChanges.shift());
         }
 
-        self.serverVector = vector;
+        changes.forEach(function (change) {
+          if (change instanceof StateVector) {
+            self.serverVector = change;
+          }
+          else {
+            applyScheduledUpdate(change);
+          }
+        });
         scheduleNextPendingChange();
       };
 
       if (localTimestamp > now) {
-        pendingTimeoutId = setTimeout(
+        pendingTimeoutId = time.setTimeout(
           applyNextPendingChange,
           localTimestamp - now);
       }
@@ -173,6 +342,76 @@ define(function (require) {
     };
 
 
+    /**
+     * Helper function that applies the given scheduled update to the current
+     * vector, at the time for which it was scheduled.
+     *
+     * The motion at that time is evaluated in the local timeline, taking the
+     * range into account, and converted back to the timeline of the server
+     * clock, so that the resulting vector matches the one that the server
+     * computes when it applies the update.
+     *
+     * @function
+     */
+    var applyScheduledUpdate = function (update) {
+      var timestamp = Math.max(update.timestamp, serverVector.timestamp);
+      var vector = self.computeVector(timestamp + vectorOffset / 1000.0);
+      vector.timestamp = timestamp;
+      scheduledUpdates = scheduledUpdates.filter(function (other) {
+        return other.id !== update.id;
+      });
+      logger.log('apply scheduled update', 'id=' + update.id);
+      self.serverVector = vector.computeUpdatedVector(update.vector,
+        timestamp);
+    };
+
+
+    /**
+     * Helper function that replaces the list of scheduled updates with the
+     * one that the server sent, and queues the updates up for later.
+     *
+     * Updates that predate the current vector have already been applied.
+     *
+     * @function
+     */
+    var setScheduledUpdates = function (updates) {
+      scheduledUpdates = (updates || []).filter(function (update) {
+        return update.timestamp > serverVector.timestamp;
+      });
+      pendingChanges = pendingChanges.filter(function (change) {
+        return change instanceof StateVector;
+      }).concat(scheduledUpdates);
+      pendingChanges.sort(function (a, b) {
+        return a.timestamp - b.timestamp;
+      });
+      scheduleNextPendingChange();
+    };
+
+
+    /**
+     * Returns the updates scheduled to take effect in the future, as last
+     * reported by the server
+     *
+     * @function
+     * @returns {Array(Object)} The scheduled updates ordered by timestamp,
+     *   each with "id", "timestamp" (on the timeline of the server clock) and
+     *   "vector" properties
+     */
+    this.listScheduledUpdates = function () {
+      return scheduledUpdates.map(function (update) {
+        return {
+          id: update.id,
+          timestamp: update.timestamp,
+          vector: {
+            position: update.vector.position,
+            velocity: update.vector.velocity,
+            acceleration: update.vector.acceleration
+          }
+        };
+      });
+    };
+
+
     /**
      * Helper function that stops the pending changes scheduler
      *
@@ -181,12 +420,41 @@ define(function (require) {
     var stopSchedulingPendingChanges = function () {
       logger.log('stop scheduling pending changes');
       if (pendingTimeoutId) {
-        clearTimeout(pendingTimeoutId);
+        time.clearTimeout(pendingTimeoutId);
         pendingTimeoutId = null;
       }
     };
 
 
+    /**
+     * Sends a request to the online timing service and waits for the
+     * server to acknowledge it.
+     *
+     * The request is sent with the ID of the timing object and with a request
+     * ID that the server uses in its reply.
+     *
+     * @function
+     * @param {Object} msg The request to send, with a "type" property
+     * @returns {Promise} The promise to get the "ack" message sent back by
+     *   the server. The promise is rejected if the provider is not open, if
+     *   the server replies with an "error" message, if the server does not
+     *   reply in time or if the provider gets closed in the meantime.
+     */
+    this.sendRequest = function (msg) {
+      if (self.readyState !== 'open') {
+        return new Promise(function (resolve, reject) {
+          logger.warn('request', 'socket was closed, cannot send request');
+          reject(new Error('Underlying socket was closed'));
+        });
+      }
+
+      msg.id = url;
+      var promise = requests.track(msg);
+      self.channel.send(msg);
+      return promise;
+    };
+
+
     /**
      * Helper function that processes the "info" message from the
      * socket server when the clock is ready.
@@ -194,8 +462,13 @@ define(function (require) {
      * @function
      */
     var processInfoWhenPossible = function (msg) {
+      var clock = connectingClock;
+      var vector = null;
+
       // This should really just happen during initialization
-      if (self.readyState !== 'connecting') {
+      // or reconnection
+      if ((self.readyState !== 'connecting') &&
+          (self.readyState !== 'reconnecting')) {
         logger.warn(
           'timing info to process but state is "{}"',
           self.readyState);
@@ -206,158 +479,373 @@ define(function (require) {
       // (note that this function should only really be called once but
       // not a big deal if we receive more than one info message from the
       // server)
-      if (self.clock.readyState !== 'open') {
-        self.clock.addEventListener('readystatechange', function () {
-          if (self.clock.readyState === 'open') {
+      if (clock.readyState !== 'open') {
+        clock.addEventListener('readystatechange', function () {
+          if ((clock.readyState === 'open') && (clock === connectingClock)) {
             processInfoWhenPossible(msg);
           }
         });
         return;
       }
 
+      // The clock is synchronized with the server, use it from now on
+      if (self.clock !== clock) {
+        self.clock = clock;
+        self.dispatchEvent({
+          type: 'qualitychange',
+          value: clock.quality
+        });
+      }
+
       if (self.clock.delta) {
         // The info will be applied right away, but if the server imposes
         // some delta to all clients (to improve synchronization), it
         // should be applied to the timestamp received.
         msg.vector.timestamp -= (self.clock.delta / 1000.0);
       }
-      self.serverVector = new StateVector(msg.vector);
+      // Set the range first so that the vector gets constrained accordingly
+      self.range = msg.range;
+
+      // When reconnecting, the vector on the server may not have changed,
+      // in which case there is no need to apply it again
+      vector = new StateVector(msg.vector);
+      if ((self.readyState === 'reconnecting') &&
+          serverVector.equals(vector, self.tolerance)) {
+        logger.info('reconnected, vector did not change on the server');
+      }
+      else {
+        self.serverVector = vector;
+      }
 
-      // TODO: set the range as well when feature is implemented
+      // Pending changes that predate the info are no longer relevant, and
+      // the info comes with the up-to-date list of scheduled updates
+      pendingChanges = pendingChanges.filter(function (change) {
+        return change.timestamp > vector.timestamp;
+      });
+      setScheduledUpdates(msg.updates);
 
       // The timing provider object should now be fully operational
       self.readyState = 'open';
     };
 
 
-    // Initialize the base class with default data
-    AbstractTimingProvider.call(this);
+    /**
+     * Helper function that creates a clock synchronized with the server
+     * over the current Web socket.
+     *
+     * @function
+     */
+    var createClock = function () {
+      var clock = new SocketSyncClock(url, self.socket, options.clock);
+      watchClock(clock);
+      return clock;
+    };
 
-    // Connect to the Web socket
-    if (socket) {
-      this.socket = socket;
-      this.socketProvided = true;
-    }
-    else {
-      this.socket = new W3CWebSocket(url, 'echo-protocol');
-      this.socketProvided = false;
-    }
 
-    this.socket.onerror = function (err) {
-      logger.warn('WebSocket error', err);
-      // TODO: implement a connection recovery mechanism
-    };
+    /**
+     * The clocks that the object listens to, along with the listeners
+     */
+    var watchedClocks = [];
 
-    this.socket.onopen = function () {
-      logger.info('WebSocket client connected');
-      self.socket.send(stringify({
-        type: 'info',
-        id: url
-      }));
+
+    /**
+     * Helper function that listens to the given clock to re-schedule pending
+     * changes when its skew changes and to propagate its "qualitychange"
+     * events, while it is the clock in use.
+     *
+     * @function
+     */
+    var watchClock = function (clock) {
+      var watched = null;
+      if (watchedClocks.some(function (other) {
+        return other.clock === clock;
+      })) {
+        return;
+      }
+
+      watched = {
+        clock: clock,
+        change: function () {
+          if ((self.readyState !== 'open') || (self.clock !== clock)) {
+            return;
+          }
+          logger.log('apply new skew to pending changes');
+          scheduleNextPendingChange();
+        },
+        qualitychange: function (evt) {
+          if (self.clock !== clock) {
+            return;
+          }
+          self.dispatchEvent({
+            type: 'qualitychange',
+            value: evt.value
+          });
+        }
+      };
+      clock.addEventListener('change', watched.change);
+      clock.addEventListener('qualitychange', watched.qualitychange);
+      watchedClocks.push(watched);
     };
 
-    this.socket.onclose = function() {
-      logger.info('WebSocket closed');
-      self.close();
+
+    /**
+     * Helper function that stops listening to clocks, used when the object
+     * gets closed as shared clocks live on.
+     *
+     * @function
+     */
+    var unwatchClocks = function () {
+      watchedClocks.forEach(function (watched) {
+        watched.clock.removeEventListener('change', watched.change);
+        watched.clock.removeEventListener('qualitychange',
+          watched.qualitychange);
+      });
+      watchedClocks = [];
     };
 
-    this.socket.onmessage = function (evt) {
-      var msg = null;
+
+    /**
+     * Helper function that processes messages received from the server
+     *
+     * @function
+     */
+    var messageHandler = function (msg) {
       var vector = null;
-      var now = Date.now();
+      var now = time.now();
       var localTimestamp = 0;
 
-      if (typeof evt.data === 'string') {
-        try {
-          msg = JSON.parse(evt.data) || {};
-        }
-        catch (err) {
-          logger.warn('message received from server could not be parsed as JSON');
+      if (msg.id !== url) {
+        logger.log('message is for another timing object, pass on');
+        return true;
+      }
+
+      switch (msg.type) {
+      case 'info':
+        // Info received from the socket server but note that the clock may
+        // not yet be synchronized with that of the server, let's wait for
+        // that.
+        logger.log('timing object info received', msg.vector);
+        processInfoWhenPossible(msg);
+        break;
+
+      case 'change':
+        if (self.readyState !== 'open') {
+          logger.log('change message received, but not yet open, ignored');
           return;
         }
 
-        if (msg.id !== url) {
-          logger.log('message is for another timing object, ignored');
+        // TODO: not sure what to do when the server sends an update with
+        // a timestamp that lies in the past of the current vector we have,
+        // ignoring for now
+        if (msg.vector.timestamp < self.serverVector.timestamp) {
+          logger.warn('change message received, but more ancient than current vector, ignored');
           return;
         }
 
-        switch (msg.type) {
-        case 'info':
-          // Info received from the socket server but note that the clock may
-          // not yet be synchronized with that of the server, let's wait for
-          // that.
-          logger.log('timing object info received', msg.vector);
-          processInfoWhenPossible(msg);
-          break;
-
-        case 'change':
-          if (self.readyState !== 'open') {
-            logger.log('change message received, but not yet open, ignored');
-            return;
-          }
+        // Create a new Media state vector from the one received
+        vector = new StateVector(msg.vector);
 
-          // TODO: not sure what to do when the server sends an update with
-          // a timestamp that lies in the past of the current vector we have,
-          // ignoring for now
-          if (msg.vector.timestamp < self.serverVector.timestamp) {
-            logger.warn('change message received, but more ancient than current vector, ignored');
-            return;
-          }
-
-          // Create a new Media state vector from the one received
-          vector = new StateVector(msg.vector);
+        // Determine whether the change event is to be applied now or to be
+        // queued up for later
+        localTimestamp = vector.timestamp * 1000.0 +
+            now - self.clock.getTime(now);
+        if (localTimestamp < now) {
+          logger.log('change message received, execute now');
+          self.serverVector = vector;
+        }
+        else {
+          logger.log('change message received, queue for later');
+          pendingChanges.push(vector);
+          pendingChanges.sort(function (a, b) {
+            return a.timestamp - b.timestamp;
+          });
+          scheduleNextPendingChange();
+        }
+        break;
 
-          // Determine whether the change event is to be applied now or to be
-          // queued up for later
-          localTimestamp = vector.timestamp * 1000.0 +
-              now - self.clock.getTime(now);
-          if (localTimestamp < now) {
-            logger.log('change message received, execute now');
-            self.serverVector = vector;
-          }
-          else {
-            logger.log('change message received, queue for later');
-            pendingChanges.push(vector);
-            pendingChanges.sort(function (a, b) {
-              return a.timestamp - b.timestamp;
-            });
-            scheduleNextPendingChange();
-          }
-          break;
+      case 'schedule':
+        if (self.readyState !== 'open') {
+          logger.log('schedule message received, but not yet open, ignored');
+          return;
+        }
+        logger.log('scheduled updates received',
+          'nb=' + (msg.updates || []).length);
+        setScheduledUpdates(msg.updates);
+        break;
+
+      case 'delete':
+        logger.info('timing object deleted on the server');
+        self.close('Timing object was deleted on the server');
+        break;
+
+      case 'ack':
+        requests.settle(msg);
+        break;
+
+      case 'error':
+        if (msg.requestId) {
+          requests.settle(msg);
+        }
+        else if ((self.readyState === 'connecting') ||
+            (self.readyState === 'reconnecting')) {
+          // The subscription failed, e.g. because the timing object does
+          // not exist on the server
+          logger.warn('subscription failed', 'error=' + msg.error);
+          self.close(msg.error);
         }
+        break;
       }
+      return false;
     };
 
-    // Create the clock
-    if (clock) {
-      this.clock = clock;
-    }
-    else {
-      this.clock = new SocketSyncClock(url, this.socket);
-      this.clock.addEventListener('change', function () {
-        if (self.readyState !== 'open') {
-          return;
+
+    /**
+     * Helper function that subscribes to the timing object once the Web
+     * socket is connected. The server replies with an "info" message that
+     * initializes the timing provider object.
+     *
+     * @function
+     */
+    var openHandler = function () {
+      logger.info('WebSocket client connected');
+      if (self.connection) {
+        // The connection may have switched to a new socket and clock
+        self.socket = self.connection.socket;
+        if (!self.clockProvided) {
+          connectingClock = self.connection.clock;
+          watchClock(connectingClock);
         }
-        logger.log('apply new skew to pending changes');
-        scheduleNextPendingChange();
+      }
+      self.channel.send({
+        type: 'subscribe',
+        id: url
       });
-    }
+    };
 
 
+    /**
+     * Helper function that reacts to the Web socket being closed. The
+     * timing provider object waits for the connection to reconnect, unless
+     * the connection gave up or the socket was provided.
+     *
+     * @function
+     */
+    var closeHandler = function () {
+      logger.info('WebSocket closed');
+      if ((self.readyState === 'closing') ||
+          (self.readyState === 'closed')) {
+        return;
+      }
 
+      // Replies to pending requests will never come
+      requests.rejectAll('Connection lost');
 
-    // Check the initial state of the socket connection
-    if (this.socket.readyState === OPEN) {
-      logger.info('WebSocket client connected');
-      this.socket.send(stringify({
-        type: 'info',
-        id: url
-      }));
+      if (!self.connection || (self.connection.readyState === 'closed')) {
+        self.close('Connection lost');
+      }
+      else if (self.readyState === 'open') {
+        // The motion keeps being extrapolated from the last known vector
+        // in the meantime
+        self.readyState = 'reconnecting';
+      }
+    };
+
+
+    /**
+     * Helper function that starts listening to the connection, or to the
+     * provided Web socket, and starts the synchronization of the clock.
+     *
+     * @function
+     */
+    var connect = function () {
+      if (self.connection) {
+        self.channel = self.connection.createChannel(url);
+        self.socket = self.connection.socket;
+      }
+      else {
+        self.channel = new WebSocketTransport(self.socket);
+      }
+
+      self.channel.listen({
+        open: openHandler,
+        close: closeHandler,
+        message: messageHandler
+      });
+
+      // The clock of the connection only replaces the current one once the
+      // "info" message has been processed, so that the motion can be
+      // extrapolated with the previous clock while reconnecting.
+      if (self.clockProvided) {
+        connectingClock = self.clock;
+      }
+      else if (self.connection) {
+        connectingClock = self.connection.clock;
+        watchClock(connectingClock);
+        self.clock = connectingClock;
+      }
+      else {
+        connectingClock = createClock();
+        self.clock = connectingClock;
+      }
+
+      // Check the initial state of the connection
+      if (self.channel.readyState === 'open') {
+        openHandler();
+      }
+      else if (self.channel.readyState === 'closed') {
+        closeHandler();
+      }
+    };
+
+
+    // Initialize the base class with default data
+    AbstractTimingProvider.call(this, null, null, {
+      history: options.history,
+      tolerance: options.tolerance
+    });
+
+    this.addEventListener('readystatechange', function () {
+      if (self.readyState === 'closed') {
+        requests.rejectAll(self.closeReason || 'Timing provider was closed');
+        unwatchClocks();
+        stopSchedulingPendingChanges();
+        pendingChanges = [];
+        scheduledUpdates = [];
+      }
+    });
+
+    /**
+     * The reason why the timing provider object was closed, if not closed
+     * on purpose (e.g. when the timing object was deleted on the server)
+     */
+    this.closeReason = null;
+
+    // Connect to the Web socket, to the shared connection, or to a
+    // connection of its own. There is no need to synchronize a clock over
+    // that connection when a clock is provided.
+    this.socket = socket || null;
+    this.socketProvided = !!socket;
+    this.clock = clock || null;
+    this.clockProvided = !!clock;
+    this.connection = null;
+    this.channel = null;
+    if (options.shared && !socket && !clock) {
+      this.connection = SocketConnection.get(url, options);
     }
-    else if (this.socket.readyState === CLOSED) {
-      logger.log('WebSocket closed');
-      self.close();
+    else if (!socket) {
+      connectionOptions = {};
+      Object.keys(options).forEach(function (name) {
+        connectionOptions[name] = options[name];
+      });
+      if (clock) {
+        connectionOptions.clock = false;
+      }
+      this.connection = new SocketConnection(url, connectionOptions);
     }
+    if (clock) {
+      watchClock(clock);
+    }
+    connect();
 
     logger.info('created');
   };
@@ -375,39 +863,80 @@ define(function (require) {
    *   If null, the velocity at the current time is used.
    * @param {Number} vector.acceleration The new acceleration.
    *   If null, the acceleration at the current time is used.
+   * @param {Object} options Update settings
+   * @param {Number} options.duration The duration of the transition to the
+   *   new motion in seconds. The update is immediate if null. See
+   *   StateVector.computeTransition for the transition that gets applied.
+   * @param {String} options.easing The profile of the transition,
+   *   "ease-in-out" or "linear" ("ease-in-out" if null)
+   * @param {Number} options.at The time in seconds on the timeline of the
+   *   server clock at which the update is to take effect. The update is
+   *   immediate if null. Cannot be combined with a transition.
    * @returns {Promise} The promise to get an updated StateVector that
    *   represents the updated motion on the server once the update command
    *   has been processed by the server.
    *   The promise is rejected if the connection with the online timing service
    *   is not possible for some reason (no connection, timing object on the
    *   server was deleted, timeout, permission issue).
+   *   With a transition, the promise resolves once the transition is over.
+   *   With a time, the promise resolves with the update that the server
+   *   scheduled, an object with "id", "timestamp" and "vector" properties.
    */
-  SocketTimingProvider.prototype.update = function (vector) {
+  SocketTimingProvider.prototype.update = function (vector, options) {
+    if (options && isNumber(options.at)) {
+      if (options.duration) {
+        return Promise.reject(
+          new Error('Scheduled transitions are not supported'));
+      }
+      return this.sendRequest({
+        type: 'update',
+        vector: vector || {},
+        at: options.at
+      }).then(function (msg) {
+        logger.log('update scheduled', 'id=' + msg.update.id);
+        return msg.update;
+      });
+    }
+    if (options && options.duration) {
+      return this.transition(vector, options);
+    }
+    this.cancelTransition();
     vector = vector || {};
     logger.log('update',
       '(position=' + vector.position +
       ', velocity=' + vector.velocity +
       ', acceleration=' + vector.acceleration + ')');
 
-    if (this.readyState !== 'open') {
-      return new Promise(function (resolve, reject) {
-        logger.warn('update', 'socket was closed, cannot process update');
-        reject(new Error('Underlying socket was closed'));
-      });
-    }
-    this.socket.send(stringify({
+    var self = this;
+    return this.sendRequest({
       type: 'update',
-      id: this.url,
       vector: vector
-    }));
-
-    return new Promise(function (resolve, reject) {
-      // TODO: To be able to resolve the promise, we would need to know
-      // when the server has received and processed the request. This
-      // requires an ack that does not yet exist. Also, should the promise
-      // only be resolved when the update is actually done (which may take
-      // place after some time and may actually not take place at all?)
-      resolve();
+    }).then(function (msg) {
+      var vector = toLocalVector(msg.vector, self.clock);
+      logger.log('update', 'done', vector);
+      return vector;
+    });
+  };
+
+
+  /**
+   * Asks the online timing service to cancel the scheduled update with the
+   * given ID. All clients get notified.
+   *
+   * @function
+   * @param {Number} id The ID of the scheduled update
+   * @returns {Promise} The promise that the update was cancelled, resolved
+   *   with the cancelled update. The promise is rejected if there is no such
+   *   scheduled update or if the request fails.
+   */
+  SocketTimingProvider.prototype.cancelScheduledUpdate = function (id) {
+    logger.log('cancel scheduled update', 'id=' + id);
+    return this.sendRequest({
+      type: 'cancel',
+      updateId: id
+    }).then(function (msg) {
+      logger.log('scheduled update cancelled', 'id=' + id);
+      return msg.update;
     });
   };
 
@@ -419,17 +948,28 @@ define(function (require) {
    * Note that a closed timing provider object cannot be re-used.
    *
    * @function
+   * @param {String} reason The reason why the object is closed, if not
+   *   closed on purpose (exposed through the "closeReason" property)
    */
-  SocketTimingProvider.prototype.close = function () {
+  SocketTimingProvider.prototype.close = function (reason) {
     if ((this.readyState === 'closing') ||
         (this.readyState === 'closed')) {
       return;
     }
+    this.closeReason = reason || null;
     this.readyState = 'closing';
-    this.clock.close();
-    if (!this.socketProvided && (this.socket.readyState !== CLOSED)) {
-      this.socket.close();
+    if (!this.connection || this.clockProvided) {
+      this.clock.close();
+    }
+    if (this.channel.readyState === 'open') {
+      // The socket may be used by other objects, stop listening to changes
+      this.channel.send({
+        type: 'unsubscribe',
+        id: this.url
+      });
     }
+    // The connection gets closed when its last channel stops listening
+    this.channel.unlisten();
     this.socket = null;
     this.readyState = 'closed';
   };
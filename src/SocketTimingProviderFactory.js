@@ -0,0 +1,194 @@
+/**
+ * @file A timing provider factory that manages timing objects on an online
+ * timing server using WebSockets.
+ *
+ * The factory follows the interface of the abstract timing provider factory.
+ * It sends the following commands to the WebSockets server:
+ * - create: to create a timing object with an initial vector and range
+ * - delete: to delete a timing object
+ * - list: to retrieve the list of timing objects
+ *
+ * Each command is sent over a short-lived WebSocket connection. The URL of
+ * the timing object is used as identifier in exchanges with the server, as
+ * in the socket timing provider object.
+ */
+
+// Ensure "define" is defined in node.js in the absence of require.js
+// See: https://github.com/jrburke/amdefine
+if (typeof define !== 'function') {
+  var define = require('amdefine')(module);
+}
+
+define(function (require) {
+  var woodman = require('woodman');
+  var logger = woodman.getLogger('SocketTimingProviderFactory');
+
+  var SocketTimingProvider = require('./SocketTimingProvider');
+  var WebSocketTransport = require('./WebSocketTransport');
+  var RequestTracker = require('./RequestTracker');
+  var W3CWebSocket = require('./W3CWebSocket');
+
+
+  // Web Sockets ready state constants
+  var CLOSED = 3;
+
+
+  /**
+   * Sends a request to the WebSockets server at the given URL and waits for
+   * the server to acknowledge it.
+   *
+   * @function
+   * @private
+   * @param {String} url The Web socket URL of the server
+   * @param {Object} msg The request to send, with a "type" property
+   * @param {Object} options Request settings
+   * @param {function} options.WebSocket The WebSocket constructor to use
+   *   (the W3C WebSocket implementation if null)
+   * @returns {Promise} The promise to get the "ack" message sent back by
+   *   the server. The promise is rejected if the connection fails, if the
+   *   server replies with an "error" message or if the server does not reply
+   *   in time.
+   */
+  var sendRequest = function (url, msg, options) {
+    var WebSocket = (options || {}).WebSocket || W3CWebSocket;
+    var socket = new WebSocket(url, 'echo-protocol');
+    var transport = new WebSocketTransport(socket);
+    var requests = new RequestTracker();
+    var promise = requests.track(msg);
+
+    var release = function () {
+      transport.unlisten();
+      if (socket.readyState !== CLOSED) {
+        socket.close();
+      }
+    };
+
+    transport.listen({
+      open: function () {
+        transport.send(msg);
+      },
+      close: function () {
+        requests.rejectAll('Connection lost');
+      },
+      message: function (reply) {
+        return !requests.settle(reply);
+      }
+    });
+
+    return promise.then(function (reply) {
+      logger.log('request acknowledged', 'type=' + msg.type);
+      release();
+      return reply;
+    }, function (err) {
+      logger.warn('request failed', 'type=' + msg.type, err.message);
+      release();
+      throw err;
+    });
+  };
+
+
+  /**
+   * The timing provider factory only exposes static methods
+   */
+  var SocketTimingProviderFactory = {};
+
+
+  /**
+   * Creates a timing object on the online timing server and returns a
+   * timing provider object associated with it.
+   *
+   * If the timing object to create has an ID that refers to an existing oject
+   * on the online timing service, that object is used (and not re-created).
+   *
+   * @function
+   * @static
+   * @param {String} url The Web socket URL of the timing object, used as ID
+   * @param {StateVector} vector The initial motion vector
+   * @param {Interval} range The initial range if one is to be defined
+   * @param {Object} options Settings of the socket timing provider object,
+   *   see SocketTimingProvider
+   * @param {Object} options.metadata Application metadata to store along with
+   *   the timing object on the server
+   * @returns {Promise} The promise to get a socket timing provider object
+   *   associated with the online timing object, once the provider is ready.
+   */
+  SocketTimingProviderFactory.create = function (url, vector, range, options) {
+    vector = vector || {};
+    logger.log('create', 'id=' + url);
+    return sendRequest(url, {
+      type: 'create',
+      id: url,
+      vector: {
+        position: vector.position,
+        velocity: vector.velocity,
+        acceleration: vector.acceleration
+      },
+      range: range,
+      metadata: (options || {}).metadata
+    }, options).then(function () {
+      return new Promise(function (resolve, reject) {
+        var provider = new SocketTimingProvider(url, null, null, options);
+        var listener = function () {
+          if (provider.readyState === 'open') {
+            provider.removeEventListener('readystatechange', listener);
+            resolve(provider);
+          }
+          else if (provider.readyState === 'closed') {
+            provider.removeEventListener('readystatechange', listener);
+            reject(new Error(provider.closeReason ||
+              'Timing provider was closed'));
+          }
+        };
+        provider.addEventListener('readystatechange', listener);
+      });
+    });
+  };
+
+
+  /**
+   * Deletes the timing object on the online timing server.
+   *
+   * Socket timing provider objects associated with the timing object get
+   * closed as a result.
+   *
+   * @function
+   * @static
+   * @param {String} url The Web socket URL of the timing object to delete
+   * @param {Object} options Request settings, see "create"
+   * @returns {Promise} The promise that the timing object was deleted. The
+   *   promise is rejected if the timing object does not exist.
+   */
+  SocketTimingProviderFactory.delete = function (url, options) {
+    logger.log('delete', 'id=' + url);
+    return sendRequest(url, {
+      type: 'delete',
+      id: url
+    }, options).then(function () {
+      return;
+    });
+  };
+
+
+  /**
+   * Lists the IDs of the timing objects available on the online timing
+   * server.
+   *
+   * @function
+   * @static
+   * @param {String} url The Web socket URL of the server
+   * @param {Object} options Request settings, see "create"
+   * @returns {Promise} The promise to get the list of IDs
+   */
+  SocketTimingProviderFactory.list = function (url, options) {
+    logger.log('list');
+    return sendRequest(url, {
+      type: 'list'
+    }, options).then(function (reply) {
+      return reply.ids || [];
+    });
+  };
+
+
+  // Expose the factory to the outer world
+  return SocketTimingProviderFactory;
+});
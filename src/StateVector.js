@@ -20,6 +20,105 @@ define(function (require) {
   var woodman = require('woodman');
   var logger = woodman.getLogger('StateVector');
 
+  var isNull = require('./utils').isNull;
+  var isNumber = require('./utils').isNumber;
+  var time = require('./time');
+
+
+  /**
+   * Relative tolerance used to absorb floating-point errors when solving
+   * motion equations
+   */
+  var epsilon = 1e-12;
+
+  /**
+   * Tolerance in seconds below which a solution that lies before the time
+   * from which solutions are looked for is still considered to be valid
+   */
+  var timeTolerance = 1e-9;
+
+
+  /**
+   * Returns true when the given interval bound is a finite number
+   *
+   * @function
+   * @private
+   */
+  var isBound = function (bound) {
+    return isNumber(bound) && isFinite(bound);
+  };
+
+
+  /**
+   * Returns the first of the given ordered timestamps that is at or after
+   * the given time, snapping timestamps that are only before the time
+   * because of floating-point errors.
+   *
+   * @function
+   * @private
+   * @param {Array(Number)} timestamps The ordered list of timestamps
+   * @param {Number} from The time in seconds
+   * @returns {Number} The timestamp, null if there is none
+   */
+  var findNext = function (timestamps, from) {
+    var result = null;
+    timestamps.some(function (timestamp) {
+      if (timestamp >= from) {
+        result = timestamp;
+        return true;
+      }
+      else if (timestamp >= from - timeTolerance) {
+        result = from;
+        return true;
+      }
+      return false;
+    });
+    return result;
+  };
+
+
+  /**
+   * Returns the velocity below which the velocity of the given vector is
+   * considered null, to absorb floating-point errors
+   *
+   * @function
+   * @private
+   * @param {StateVector} vector The motion vector
+   * @returns {Number} The tolerance
+   */
+  var getVelocityTolerance = function (vector) {
+    return epsilon * 1000 *
+      (Math.abs(vector.velocity) + Math.abs(vector.acceleration));
+  };
+
+
+  /**
+   * Returns the complete tolerance object that corresponds to the given
+   * tolerance, see StateVector.prototype.equals
+   *
+   * @function
+   * @private
+   * @param {Number|Object} tolerance The tolerance
+   * @returns {Object} The tolerance on position, velocity and acceleration
+   */
+  var getTolerance = function (tolerance) {
+    var result = {};
+    var defaults = StateVector.defaultTolerance;
+    ['position', 'velocity', 'acceleration'].forEach(function (name) {
+      if (isNumber(tolerance)) {
+        result[name] = tolerance;
+      }
+      else if (tolerance && isNumber(tolerance[name])) {
+        result[name] = tolerance[name];
+      }
+      else {
+        result[name] = defaults[name];
+      }
+    });
+    return result;
+  };
+
+
   /**
    * Default constructor for a state vector
    *
@@ -54,12 +153,27 @@ define(function (require) {
      * The local time in milliseconds when the position, velocity and
      * acceleration are evaluated.
      */
-    this.timestamp = vector.timestamp || (Date.now() / 1000.0);
+    this.timestamp = vector.timestamp || (time.now() / 1000.0);
 
     logger.info('created', this);
   };
 
 
+  /**
+   * The tolerance used when comparing vectors if none is given. Values are
+   * absolute: position units, position units per second and position units
+   * per second squared.
+   *
+   * The default values absorb the errors that converting timestamps in
+   * seconds since 1970 between timelines introduces (about 1e-7s).
+   */
+  StateVector.defaultTolerance = {
+    position: 1e-6,
+    velocity: 1e-6,
+    acceleration: 1e-6
+  };
+
+
   /**
    * Computes the position along the uni-dimensional axis at the given time
    *
@@ -107,6 +221,478 @@ define(function (require) {
   };
 
 
+  /**
+   * Computes the timestamps at which the motion reaches the given position.
+   *
+   * The function solves the motion equation for the given position and returns
+   * the solutions in chronological order. Returned timestamps may lie before
+   * the vector's timestamp. The function returns an empty list when the motion
+   * never reaches the position, or when the motion is stationary.
+   *
+   * @function
+   * @param {Number} position The position to reach
+   * @returns {Array(Number)} The ordered list of timestamps in seconds
+   */
+  StateVector.prototype.computeTimestampsAt = function (position) {
+    var a = 0.5 * this.acceleration;
+    var b = this.velocity;
+    var c = this.position - position;
+    var discriminant = 0.0;
+    var q = 0.0;
+    var result = [];
+
+    if (a === 0.0) {
+      if (b !== 0.0) {
+        result.push(-c / b);
+      }
+    }
+    else {
+      discriminant = b * b - 4 * a * c;
+      if (Math.abs(discriminant) <= epsilon * (b * b + Math.abs(4 * a * c))) {
+        // The motion merely touches the position (up to floating-point
+        // errors) before it turns back
+        result.push(-b / (2 * a));
+      }
+      else if (discriminant > 0.0) {
+        // Numerically stable form of the quadratic formula
+        q = -0.5 * (b + (b < 0.0 ? -1 : 1) * Math.sqrt(discriminant));
+        result.push(q / a);
+        if (q !== 0.0) {
+          result.push(c / q);
+        }
+        result.sort(function (t1, t2) {
+          return t1 - t2;
+        });
+      }
+    }
+
+    result = result.map(function (elapsed) {
+      return this.timestamp + elapsed;
+    }, this);
+    logger.log('compute timestamps at position returns', result);
+    return result;
+  };
+
+
+  /**
+   * Computes the next timestamp at which the motion reaches the given
+   * position.
+   *
+   * @function
+   * @param {Number} position The position to reach
+   * @param {Number} from The time in seconds from which to look for the
+   *   solution, inclusive (the vector's timestamp if null)
+   * @returns {Number} The timestamp in seconds, null if the motion never
+   *   reaches the position after the given time, or if the motion is
+   *   stationary
+   */
+  StateVector.prototype.computeNextTimestampAt = function (position, from) {
+    from = isNumber(from) ? from : this.timestamp;
+    return findNext(this.computeTimestampsAt(position), from);
+  };
+
+
+  /**
+   * Computes the timestamps at which the motion reaches the given velocity.
+   *
+   * There is at most one solution since the acceleration is constant. The
+   * function returns an empty list when the acceleration is null, even if
+   * the velocity already is the given one.
+   *
+   * @function
+   * @param {Number} velocity The velocity to reach
+   * @returns {Array(Number)} The list of timestamps in seconds
+   */
+  StateVector.prototype.computeTimestampsAtVelocity = function (velocity) {
+    var result = [];
+    if (this.acceleration !== 0.0) {
+      result.push(this.timestamp +
+        (velocity - this.velocity) / this.acceleration);
+    }
+    logger.log('compute timestamps at velocity returns', result);
+    return result;
+  };
+
+
+  /**
+   * Computes the next timestamp at which the motion reaches the given
+   * velocity.
+   *
+   * @function
+   * @param {Number} velocity The velocity to reach
+   * @param {Number} from The time in seconds from which to look for the
+   *   solution, inclusive (the vector's timestamp if null)
+   * @returns {Number} The timestamp in seconds, null if the motion never
+   *   reaches the velocity after the given time
+   */
+  StateVector.prototype.computeNextTimestampAtVelocity = function (velocity, from) {
+    from = isNumber(from) ? from : this.timestamp;
+    return findNext(this.computeTimestampsAtVelocity(velocity), from);
+  };
+
+
+  /**
+   * Returns the direction of the motion at the given time, in other words
+   * the sign of the velocity or the sign of the acceleration if the motion
+   * is momentarily stopped. Velocities that are only different from zero
+   * because of floating-point errors are considered null.
+   *
+   * @function
+   * @param {Number} timestamp The time in seconds
+   * @returns {Number} 1 when the motion goes forward, -1 when the motion
+   *   goes backward, 0 when the motion is stationary
+   */
+  StateVector.prototype.computeDirection = function (timestamp) {
+    var velocity = this.computeVelocity(timestamp);
+    var tolerance = getVelocityTolerance(this);
+    if (velocity > tolerance) {
+      return 1;
+    }
+    else if (velocity < -tolerance) {
+      return -1;
+    }
+    else if (this.acceleration > 0.0) {
+      return 1;
+    }
+    else if (this.acceleration < 0.0) {
+      return -1;
+    }
+    else {
+      return 0;
+    }
+  };
+
+
+  /**
+   * Computes the times at which the motion crosses the boundaries of the
+   * given interval, between the given times.
+   *
+   * Each crossing is an object with the following properties:
+   * - timestamp: the time of the crossing in seconds
+   * - position: the boundary that the motion crosses
+   * - type: "enter" when the motion enters the interval, "exit" when it
+   * leaves the interval, "pass" when the motion is only in the interval at
+   * the time of the crossing, e.g. when it goes through a singular interval
+   * or when it touches an included boundary before turning back.
+   *
+   * The state of the motion right before the crossing is taken into account
+   * even if the crossing occurs at the vector's timestamp. Crossings are
+   * returned in chronological order, exits before entries when they occur
+   * at the same time.
+   *
+   * @function
+   * @param {Interval} interval The interval
+   * @param {Number} from The time in seconds from which to look for
+   *   crossings, inclusive (the vector's timestamp if null)
+   * @param {Number} to The time in seconds up to which to look for
+   *   crossings, inclusive (no limit if null)
+   * @returns {Array(Object)} The ordered list of crossings
+   */
+  StateVector.prototype.computeCrossings = function (interval, from, to) {
+    var self = this;
+    var crossings = [];
+    var ranks = { exit: 0, enter: 1, pass: 2 };
+    var singular = isBound(interval.low) && (interval.low === interval.high);
+
+    from = isNumber(from) ? from : this.timestamp;
+
+    // Whether a position next to the given boundary, on the given side,
+    // is in the interval
+    var isInside = function (isLow, side) {
+      if (side === 0) {
+        return isLow ? !!interval.lowInclude : !!interval.highInclude;
+      }
+      if (singular) {
+        return false;
+      }
+      return isLow ? (side > 0) : (side < 0);
+    };
+
+    var addCrossings = function (bound, isLow) {
+      var include = isLow ? interval.lowInclude : interval.highInclude;
+      if (!isBound(bound)) {
+        return;
+      }
+      self.computeTimestampsAt(bound).forEach(function (timestamp) {
+        var direction = 0;
+        var velocity = 0.0;
+        var before = false;
+        var after = false;
+        var type = null;
+
+        if (timestamp < from - timeTolerance) {
+          return;
+        }
+        timestamp = Math.max(timestamp, from);
+        if (isNumber(to) && (timestamp > to)) {
+          return;
+        }
+
+        // The side of the boundary the motion is on right before and right
+        // after the crossing
+        direction = self.computeDirection(timestamp);
+        if (direction === 0) {
+          return;
+        }
+        velocity = self.computeVelocity(timestamp);
+        if ((self.acceleration !== 0.0) &&
+            (Math.abs(velocity) <= getVelocityTolerance(self))) {
+          // The motion touches the boundary and turns back
+          before = isInside(isLow, direction);
+          after = before;
+        }
+        else {
+          before = isInside(isLow, -direction);
+          after = isInside(isLow, direction);
+        }
+
+        if (!before && after) {
+          type = 'enter';
+        }
+        else if (before && !after) {
+          type = 'exit';
+        }
+        else if (!before && !after && include) {
+          type = 'pass';
+        }
+        else {
+          return;
+        }
+        crossings.push({
+          timestamp: timestamp,
+          position: bound,
+          type: type
+        });
+      });
+    };
+
+    addCrossings(interval.low, true);
+    if (!singular) {
+      addCrossings(interval.high, false);
+    }
+
+    crossings.sort(function (a, b) {
+      return (a.timestamp - b.timestamp) || (ranks[a.type] - ranks[b.type]);
+    });
+    logger.log('compute crossings returns', crossings);
+    return crossings;
+  };
+
+
+  /**
+   * Computes the next timestamp at which the motion enters the given
+   * interval, or goes through it.
+   *
+   * @function
+   * @param {Interval} interval The interval
+   * @param {Number} from The time in seconds from which to look for the
+   *   solution, inclusive (the vector's timestamp if null)
+   * @returns {Number} The timestamp in seconds, null if the motion never
+   *   enters the interval after the given time
+   */
+  StateVector.prototype.computeNextTimestampEntering = function (interval, from) {
+    var result = null;
+    this.computeCrossings(interval, from).some(function (crossing) {
+      if (crossing.type !== 'exit') {
+        result = crossing.timestamp;
+        return true;
+      }
+      return false;
+    });
+    return result;
+  };
+
+
+  /**
+   * Computes the next timestamp at which the motion leaves the given
+   * interval, or goes through it.
+   *
+   * @function
+   * @param {Interval} interval The interval
+   * @param {Number} from The time in seconds from which to look for the
+   *   solution, inclusive (the vector's timestamp if null)
+   * @returns {Number} The timestamp in seconds, null if the motion never
+   *   leaves the interval after the given time
+   */
+  StateVector.prototype.computeNextTimestampLeaving = function (interval, from) {
+    var result = null;
+    this.computeCrossings(interval, from).some(function (crossing) {
+      if (crossing.type !== 'enter') {
+        result = crossing.timestamp;
+        return true;
+      }
+      return false;
+    });
+    return result;
+  };
+
+
+  /**
+   * Returns the vector that results from updating the motion with the given
+   * vector at the given time. Null values in the given vector are replaced
+   * by the values of the motion at that time.
+   *
+   * @function
+   * @param {Object} vector The update to apply
+   * @param {Number} vector.position The new position (current if null)
+   * @param {Number} vector.velocity The new velocity (current if null)
+   * @param {Number} vector.acceleration The new acceleration (current if
+   *   null)
+   * @param {Number} timestamp The time of the update in seconds
+   * @returns {StateVector} The updated vector
+   */
+  StateVector.prototype.computeUpdatedVector = function (vector, timestamp) {
+    vector = vector || {};
+    return new StateVector({
+      position: (isNull(vector.position) ?
+        this.computePosition(timestamp) :
+        vector.position),
+      velocity: (isNull(vector.velocity) ?
+        this.computeVelocity(timestamp) :
+        vector.velocity),
+      acceleration: (isNull(vector.acceleration) ?
+        this.computeAcceleration(timestamp) :
+        vector.acceleration),
+      timestamp: timestamp
+    });
+  };
+
+
+  /**
+   * Computes the sequence of updates that takes the motion from this vector
+   * to the given target over the given duration, starting at the timestamp
+   * of this vector.
+   *
+   * When the target has a position, the motion reaches that position at the
+   * end of the transition, either with an "ease-in-out" profile (constant
+   * acceleration during the first half, constant deceleration during the
+   * second half, so that velocity never jumps) or with a "linear" profile
+   * (constant velocity). Otherwise, when the target has a velocity, the
+   * velocity ramps up or down linearly through a constant acceleration.
+   * Accelerations cannot be ramped with piecewise constant accelerations,
+   * so the target acceleration is applied at the end of the transition.
+   *
+   * Missing target values default to those of this vector. Updates are
+   * partial vectors whose missing values are null, so that they apply on
+   * top of whatever the motion is when they are applied.
+   *
+   * @function
+   * @param {Object} target The target motion
+   * @param {Number} target.position The target position (none if null)
+   * @param {Number} target.velocity The target velocity (current velocity if
+   *   null)
+   * @param {Number} target.acceleration The target acceleration (current
+   *   acceleration if null)
+   * @param {Object} options Transition settings
+   * @param {Number} options.duration The duration of the transition in
+   *   seconds
+   * @param {String} options.easing The profile of transitions to a position,
+   *   "ease-in-out" or "linear" ("ease-in-out" if null)
+   * @returns {Array(Object)} The ordered list of updates to apply, each
+   *   update being an object with a "delay" property, the time in seconds
+   *   after the start of the transition at which the update is to be
+   *   applied, and a "vector" property, the partial vector to apply.
+   */
+  StateVector.prototype.computeTransition = function (target, options) {
+    var duration = (options && options.duration) || 0;
+    var easing = (options && options.easing) || 'ease-in-out';
+    var half = duration / 2;
+    var p0 = this.position;
+    var v0 = this.velocity;
+    var velocity = isNumber(target.velocity) ? target.velocity : v0;
+    var acceleration = isNumber(target.acceleration) ?
+      target.acceleration :
+      this.acceleration;
+    var distance = 0.0;
+    var first = 0.0;
+
+    if (isNaN(duration) || (duration <= 0) ||
+        (!isNumber(target.position) && !isNumber(target.velocity))) {
+      return [{
+        delay: 0,
+        vector: {
+          position: isNumber(target.position) ? target.position : null,
+          velocity: isNumber(target.velocity) ? target.velocity : null,
+          acceleration: isNumber(target.acceleration) ?
+            target.acceleration :
+            null
+        }
+      }];
+    }
+
+    if (!isNumber(target.position)) {
+      return [
+        {
+          delay: 0,
+          vector: {
+            position: null,
+            velocity: null,
+            acceleration: (velocity - v0) / duration
+          }
+        },
+        {
+          delay: duration,
+          vector: {
+            position: null,
+            velocity: velocity,
+            acceleration: acceleration
+          }
+        }
+      ];
+    }
+
+    var end = {
+      delay: duration,
+      vector: {
+        position: target.position,
+        velocity: velocity,
+        acceleration: acceleration
+      }
+    };
+
+    if (easing === 'linear') {
+      return [
+        {
+          delay: 0,
+          vector: {
+            position: null,
+            velocity: (target.position - p0) / duration,
+            acceleration: 0.0
+          }
+        },
+        end
+      ];
+    }
+    else if (easing !== 'ease-in-out') {
+      throw new Error('Unknown easing "' + easing + '"');
+    }
+
+    // Solve the motion equations over both halves of the transition so that
+    // the motion ends at the target position with the target velocity
+    distance = target.position - p0 - 2 * v0 * half;
+    first = distance / (half * half) - (velocity - v0) / (2 * half);
+    return [
+      {
+        delay: 0,
+        vector: {
+          position: null,
+          velocity: null,
+          acceleration: first
+        }
+      },
+      {
+        delay: half,
+        vector: {
+          position: null,
+          velocity: null,
+          acceleration: (velocity - v0) / half - first
+        }
+      },
+      end
+    ];
+  };
+
+
   /**
    * Compares this vector with the specified vector for order. Returns a
    * negative integer, zero, or a positive integer as this vector is less than,
@@ -117,42 +703,63 @@ define(function (require) {
    * evaluated at the timestamp of this vector. Position is compared first.
    * If equal, velocity is compared next. If equal, acceleration is compared.
    *
-   * TODO: the function probably returns differences in cases where it should
-   * not because of the limited precision of floating numbers. Fix that.
+   * Values are considered equal when they differ by no more than the given
+   * tolerance, to absorb the errors that floating numbers introduce, e.g.
+   * when a vector gets converted from one timeline to another.
    *
    * @function
    * @param {StateVector} vector The vector to compare
+   * @param {Number|Object} tolerance The tolerance, see "equals"
    * @returns {Integer} The comparison result
    */
-  StateVector.prototype.compareTo = function (vector) {
+  StateVector.prototype.compareTo = function (vector, tolerance) {
     var timestamp = this.timestamp;
-    var value = 0.0;
+    var values = [
+      {
+        name: 'position',
+        value: vector.computePosition(timestamp)
+      },
+      {
+        name: 'velocity',
+        value: vector.computeVelocity(timestamp)
+      },
+      {
+        name: 'acceleration',
+        value: vector.computeAcceleration(timestamp)
+      }
+    ];
+    var result = 0;
+    var self = this;
 
-    value = vector.computePosition(timestamp);
-    if (this.position < value) {
-      return -1;
-    }
-    else if (this.position > value) {
-      return 1;
-    }
-
-    value = vector.computeVelocity(timestamp);
-    if (this.velocity < value) {
-      return -1;
-    }
-    else if (this.velocity > value) {
-      return 1;
-    }
+    tolerance = getTolerance(tolerance);
+    values.some(function (item) {
+      var diff = self[item.name] - item.value;
+      if (Math.abs(diff) > tolerance[item.name]) {
+        result = (diff < 0) ? -1 : 1;
+        return true;
+      }
+      return false;
+    });
+    return result;
+  };
 
-    value = vector.computeAcceleration(timestamp);
-    if (this.acceleration < value) {
-      return -1;
-    }
-    else if (this.acceleration > value) {
-      return 1;
-    }
 
-    return 0;
+  /**
+   * Returns true if this vector describes the same motion as the specified
+   * vector, up to the given tolerance. The specified vector is evaluated at
+   * the timestamp of this vector.
+   *
+   * @function
+   * @param {StateVector} vector The vector to compare
+   * @param {Number|Object} tolerance The maximum absolute difference allowed
+   *   between positions, velocities and accelerations. Either a number that
+   *   applies to all of them, or an object with "position", "velocity" and
+   *   "acceleration" properties. Missing values default to those of
+   *   StateVector.defaultTolerance.
+   * @returns {Boolean} true if both vectors are equal
+   */
+  StateVector.prototype.equals = function (vector, tolerance) {
+    return this.compareTo(vector, tolerance) === 0;
   };
 
 
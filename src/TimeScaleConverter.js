@@ -0,0 +1,112 @@
+/**
+ * @file A timing converter that scales the motion of a source timing object
+ * by a constant factor, e.g. to follow a timing object at half speed for a
+ * slow-motion replay.
+ *
+ * Position, velocity and acceleration are multiplied by the factor, in other
+ * words the derived position advances "factor" times as fast as that of the
+ * source timing object. The range is scaled as well.
+ */
+
+// Ensure "define" is defined in node.js in the absence of require.js
+// See: https://github.com/jrburke/amdefine
+if (typeof define !== 'function') {
+  var define = require('amdefine')(module);
+}
+
+define(function (require) {
+  var AbstractTimingConverter = require('./AbstractTimingConverter');
+  var Interval = require('./Interval');
+  var isNumber = require('./utils').isNumber;
+
+
+  /**
+   * Returns the given vector with all its values multiplied by the given
+   * factor. Null values remain null.
+   *
+   * @function
+   * @private
+   * @param {Object} vector The vector to scale
+   * @param {Number} factor The factor
+   * @returns {Object} The scaled vector
+   */
+  var scaleVector = function (vector, factor) {
+    var result = {};
+    ['position', 'velocity', 'acceleration'].forEach(function (name) {
+      result[name] = isNumber(vector[name]) ? vector[name] * factor : null;
+    });
+    return result;
+  };
+
+
+  /**
+   * Creates a time-scale converter
+   *
+   * @class
+   * @param {TimingObject} timingObject The source timing object
+   * @param {Number} factor The factor applied to the motion of the source
+   *   timing object (1 if null). Must be a finite number other than 0.
+   * @param {Object} options Timing provider settings, see
+   *   AbstractTimingProvider
+   */
+  var TimeScaleConverter = function (timingObject, factor, options) {
+    if (isNumber(factor) && ((factor === 0) || !isFinite(factor))) {
+      throw new Error('Invalid time-scale factor');
+    }
+
+    /**
+     * The factor applied to the motion of the source timing object. Must be
+     * set before the base class reads the motion of the source.
+     */
+    this.factor = isNumber(factor) ? factor : 1.0;
+
+    AbstractTimingConverter.call(this, timingObject, options);
+  };
+  TimeScaleConverter.prototype = new AbstractTimingConverter();
+
+
+  /**
+   * Multiplies the values of the given vector by the factor
+   *
+   * @function
+   * @param {Object} vector The vector of the source timing object
+   * @returns {Object} The vector of the derived motion
+   */
+  TimeScaleConverter.prototype.toDerivedVector = function (vector) {
+    return scaleVector(vector, this.factor);
+  };
+
+
+  /**
+   * Divides the values of the given vector by the factor
+   *
+   * @function
+   * @param {Object} vector The vector of the derived motion
+   * @returns {Object} The vector of the source timing object
+   */
+  TimeScaleConverter.prototype.toSourceVector = function (vector) {
+    return scaleVector(vector, 1.0 / this.factor);
+  };
+
+
+  /**
+   * Multiplies the bounds of the given range by the factor. Bounds are
+   * swapped when the factor is negative.
+   *
+   * @function
+   * @param {Interval} range The range of the source timing object
+   * @returns {Interval} The range of the derived motion
+   */
+  TimeScaleConverter.prototype.toDerivedRange = function (range) {
+    return new Interval({
+      low: range.low * this.factor,
+      lowInclude: range.lowInclude,
+      high: range.high * this.factor,
+      highInclude: range.highInclude
+    });
+  };
+
+
+  // Expose the class to the outer world
+  return TimeScaleConverter;
+});
@@ -30,6 +30,7 @@ define(function (require) {
   var EventTarget = require('event-target');
   var TimingObject = require('./TimingObject');
   var StateVector = require('./StateVector');
+  var time = require('./time');
 
 
   /**
@@ -219,7 +220,7 @@ define(function (require) {
       if (!amortTimeout) {
         return;
       }
-      clearTimeout(amortTimeout);
+      time.clearTimeout(amortTimeout);
       amortTimeout = null;
       controlledElements.forEach(function (wrappedEl) {
         wrappedEl.amortization = false;
@@ -233,7 +234,7 @@ define(function (require) {
      * period is over.
      */
     var stopAmortizationPeriod = function () {
-      var now = Date.now() / 1000.0;
+      var now = time.now() / 1000.0;
       amortTimeout = null;
 
       controlledElements.forEach(function (wrappedEl) {
@@ -306,11 +307,11 @@ define(function (require) {
 
       if (amortNeeded) {
         logger.info('start amortization period');
-        amortTimeout = setTimeout(stopAmortizationPeriod, settings.amortPeriod * 1000);
+        amortTimeout = time.setTimeout(stopAmortizationPeriod, settings.amortPeriod * 1000);
       }
 
       // Queue a task to fire a simple event named "timeupdate"
-      setTimeout(function () {
+      time.setTimeout(function () {
         self.dispatchEvent({
           type: 'timeupdate'
         }, 0);
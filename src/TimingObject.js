@@ -23,6 +23,73 @@ define(function (require) {
 
   var EventTarget = require('event-target');
   var LocalTimingProvider = require('./LocalTimingProvider');
+  var isNumber = require('./utils').isNumber;
+  var time = require('./time');
+
+
+  /**
+   * Duration of an animation frame (in ms) when animation frames need to be
+   * emulated
+   */
+  var frameDuration = 1000 / 60;
+
+
+  /**
+   * Runs the given callback on the next animation frame.
+   *
+   * In the absence of "requestAnimationFrame" (e.g. in Node.js), frames are
+   * emulated at 60Hz with a timer, completed with "setImmediate" to get
+   * closer to the end of the frame than timers allow. Virtual timers are
+   * exact, the timer is enough in that case.
+   *
+   * @function
+   * @private
+   * @param {function} callback The function to run
+   * @returns {function} A function that cancels the request
+   */
+  var requestFrame = function (callback) {
+    var frameId = null;
+    var timeoutId = null;
+    var immediateId = null;
+    var target = 0;
+    var wait = null;
+
+    if (!time.isVirtual() && (typeof window !== 'undefined') &&
+        window.requestAnimationFrame) {
+      frameId = window.requestAnimationFrame(callback);
+      return function () {
+        window.cancelAnimationFrame(frameId);
+      };
+    }
+
+    target = time.now() + frameDuration;
+    wait = function () {
+      var remaining = target - time.now();
+      timeoutId = null;
+      immediateId = null;
+      if ((remaining > 0) && time.isVirtual()) {
+        timeoutId = time.setTimeout(wait, remaining);
+      }
+      else if (remaining > 2) {
+        timeoutId = time.setTimeout(wait, remaining - 2);
+      }
+      else if ((remaining > 0) && (typeof setImmediate === 'function')) {
+        immediateId = setImmediate(wait);
+      }
+      else {
+        callback();
+      }
+    };
+    wait();
+    return function () {
+      if (timeoutId) {
+        time.clearTimeout(timeoutId);
+      }
+      if (immediateId) {
+        clearImmediate(immediateId);
+      }
+    };
+  };
 
 
   /**
@@ -31,42 +98,94 @@ define(function (require) {
    * @class
    * @param {StateVector} vector The initial motion vector
    * @param {Interval} range The initial range if one is to be defined
+   * @param {Object} options Timing object settings
+   * @param {Number} options.timeupdateFrequency The frequency of "timeupdate"
+   *   events in Hz in "interval" mode (5 if null)
+   * @param {String} options.timeupdateMode The "timeupdate" dispatching mode,
+   *   "interval" to dispatch events at the given frequency or "frame" to
+   *   dispatch events on animation frames ("interval" if null)
+   * @param {Number} options.history The number of past vectors that the
+   *   local timing provider keeps, see AbstractTimingProvider (0 if null)
+   * @param {Number|Object} options.tolerance The tolerance that the local
+   *   timing provider uses to compare vectors, see AbstractTimingProvider
    */
-  var TimingObject = function (vector, range) {
+  var TimingObject = function (vector, range, options) {
     var self = this;
 
+    options = options || {};
+
+    /**
+     * The "timeupdate" dispatching settings: the frequency of the events
+     * (in Hz) in "interval" mode, and the dispatching mode, either
+     * "interval" or "frame" to dispatch events on animation frames.
+     */
+    var timeupdateFrequency = options.timeupdateFrequency || 5;
+    var timeupdateMode = options.timeupdateMode || 'interval';
+
+    /**
+     * The list of "timeupdate" event listeners. There is no need to dispatch
+     * "timeupdate" events when no one is listening.
+     */
+    var timeupdateListeners = [];
+
     /**
      * Helper methods to start/stop dispatching time update events
-     * (only triggered when the object is moving)
+     * (only triggered when the object is moving and when there are
+     * "timeupdate" event listeners)
      *
-     * Note that setInterval is bound to the event loop and thus
-     * the precision of the timing update depends on the overall
-     * event loop "congestion".
+     * Note that timers are bound to the event loop and thus the precision
+     * of the timing update depends on the overall event loop "congestion".
      *
-     * TODO: note that the object cannot be garbage collected as long as
-     * "timeupdate" events are being dispatched. Not sure that there is
-     * much we can do here.
-     *
-     * TODO: the code triggers the first event after 200ms. Should it rather
-     * trigger the first event right away?
+     * The first event is dispatched right away.
      */
-    var timeupdateInterval = null;
+    var cancelTimeUpdate = null;
+    var dispatchTimeUpdateEvent = function () {
+      var vector = self.query();
+      logger.log('dispatch new "timeupdate" event');
+      self.dispatchEvent({
+        type: 'timeupdate',
+        value: vector
+      });
+    };
     var startDispatchingTimeUpdateEvents = function () {
-      var frequency = 5;
-      if (timeupdateInterval) { return; }
-      logger.info('start dispatching "timeupdate" events');
-      timeupdateInterval = setInterval(function () {
-        logger.log('dispatch new "timeupdate" event');
-        self.dispatchEvent({
-          type: 'timeupdate'
-        });
-      }, Math.round(1000 / frequency));
+      if (cancelTimeUpdate) { return; }
+      logger.info('start dispatching "timeupdate" events',
+        'mode=' + timeupdateMode);
+      var tick = function () {
+        if (timeupdateMode === 'frame') {
+          cancelTimeUpdate = requestFrame(tick);
+        }
+        else {
+          var tickTimeout = time.setTimeout(tick,
+            Math.round(1000 / timeupdateFrequency));
+          cancelTimeUpdate = function () {
+            time.clearTimeout(tickTimeout);
+          };
+        }
+        dispatchTimeUpdateEvent();
+      };
+      var timeout = time.setTimeout(tick, 0);
+      cancelTimeUpdate = function () {
+        time.clearTimeout(timeout);
+      };
     };
     var stopDispatchingTimeUpdateEvents = function () {
-      if (!timeupdateInterval) { return; }
+      if (!cancelTimeUpdate) { return; }
       logger.info('stop dispatching "timeupdate" events');
-      clearInterval(timeupdateInterval);
-      timeupdateInterval = null;
+      cancelTimeUpdate();
+      cancelTimeUpdate = null;
+    };
+    var updateTimeUpdateDispatching = function () {
+      if ((timeupdateListeners.length > 0) &&
+          timingProvider &&
+          (timingProvider.readyState !== 'closing') &&
+          (timingProvider.readyState !== 'closed') &&
+          self.isMoving()) {
+        startDispatchingTimeUpdateEvents();
+      }
+      else {
+        stopDispatchingTimeUpdateEvents();
+      }
     };
 
 
@@ -76,22 +195,14 @@ define(function (require) {
      */
     var changeListener = function (evt) {
       logger.info('change event received', evt.value);
-      var vector = evt.value || {
-        velocity: 0.0,
-        acceleration: 0.0
-      };
-      if ((vector.velocity !== 0.0) || (vector.acceleration !== 0.0)) {
-        startDispatchingTimeUpdateEvents();
-      }
-      else {
-        stopDispatchingTimeUpdateEvents();
-      }
+      updateTimeUpdateDispatching();
       self.dispatchEvent(evt);
     };
     var readystatechangeListener = function (evt) {
-      if (evt.value === 'closed') {
-        stopDispatchingTimeUpdateEvents();
-      }
+      updateTimeUpdateDispatching();
+      self.dispatchEvent(evt);
+    };
+    var qualitychangeListener = function (evt) {
       self.dispatchEvent(evt);
     };
 
@@ -116,20 +227,32 @@ define(function (require) {
       timingProvider = provider;
       provider.addEventListener('change', changeListener);
       provider.addEventListener('readystatechange', readystatechangeListener);
+      provider.addEventListener('qualitychange', qualitychangeListener);
+      if (previousProvider &&
+          ((previousProvider.quality || null) !== (provider.quality || null))) {
+        qualitychangeListener({
+          type: 'qualitychange',
+          value: provider.quality || null
+        });
+      }
       if (previousProvider && (provider.readyState === 'open')) {
-        if (previousProvider.vector.compareTo(provider.vector) !== 0) {
+        if (!previousProvider.vector.equals(provider.vector,
+            provider.tolerance)) {
           changeListener({
             type: 'change',
             value: provider.query()
           });
+          return;
         }
       }
+      updateTimeUpdateDispatching();
     };
 
     var dissociateFromTimingProvider = function (provider) {
       if (provider) {
         provider.removeEventListener('change', changeListener);
         provider.removeEventListener('readystatechange', readystatechangeListener);
+        provider.removeEventListener('qualitychange', qualitychangeListener);
       }
     };
 
@@ -150,6 +273,30 @@ define(function (require) {
     };
 
 
+    /**
+     * Returns a new StateVector that represents the motion's position,
+     * velocity and acceleration at the given time.
+     *
+     * The time may be expressed in the local timeline or in the timeline of
+     * the timing provider (e.g. the server clock of an online timing
+     * object). Past changes are only taken into account if the timing
+     * provider keeps some history.
+     *
+     * @function
+     * @param {Number} timestamp The time in seconds
+     * @param {String} timeline The timeline of the given time, either
+     *   "local" or "server" ("local" if null)
+     * @returns {StateVector} A new StateVector object that represents
+     *   the motion's position, velocity and acceleration at the given time.
+     *   The timestamp of the vector is a local time.
+     */
+    this.queryAt = function (timestamp, timeline) {
+      var vector = timingProvider.queryAt(timestamp, timeline);
+      logger.log('query at returns', vector);
+      return vector;
+    };
+
+
     /**
      * Updates the internal motion.
      *
@@ -160,6 +307,14 @@ define(function (require) {
      *
      * The "change" event is triggered when the update operation has completed.
      *
+     * The method may also be called with a vector object and update settings,
+     * e.g. "update({ velocity: 1 }, { duration: 2 })", to move smoothly to
+     * the new motion. A later update cancels the transition in progress.
+     * Update settings may also schedule the update to take effect at a given
+     * time on the timeline of the timing provider, e.g.
+     * "update({ velocity: 1 }, { at: timestamp })" (see
+     * "listScheduledUpdates" and "cancelScheduledUpdate").
+     *
      * @function
      * @param {Number} position The new motion position. If null, the position
      *  at the current time is used.
@@ -167,9 +322,24 @@ define(function (require) {
      *  current time is used.
      * @param {Number} acceleration The new acceleration. If null, the
      *  acceleration at the current time is used.
+     * @returns {Promise} The promise to get the updated motion, see the
+     *  "update" method of the timing provider
      */
     this.update = function (position, velocity, acceleration) {
+      var vector = null;
+      var options = null;
       logger.log('update called');
+      if (position && (typeof position === 'object')) {
+        vector = position;
+        options = velocity;
+        return timingProvider.update({
+          position: isNumber(vector.position) ? vector.position : null,
+          velocity: isNumber(vector.velocity) ? vector.velocity : null,
+          acceleration: isNumber(vector.acceleration) ?
+            vector.acceleration :
+            null
+        }, options);
+      }
       return timingProvider.update({
         position: position,
         velocity: velocity,
@@ -178,6 +348,67 @@ define(function (require) {
     };
 
 
+    /**
+     * Returns the updates scheduled to take effect in the future
+     *
+     * @function
+     * @returns {Array(Object)} The scheduled updates ordered by timestamp,
+     *  each with "id", "timestamp" and "vector" properties
+     */
+    this.listScheduledUpdates = function () {
+      return timingProvider.listScheduledUpdates();
+    };
+
+
+    /**
+     * Cancels the scheduled update with the given ID
+     *
+     * @function
+     * @param {Number} id The ID of the scheduled update
+     * @returns {Promise} The promise that the update was cancelled
+     */
+    this.cancelScheduledUpdate = function (id) {
+      logger.log('cancelScheduledUpdate called', 'id=' + id);
+      return timingProvider.cancelScheduledUpdate(id);
+    };
+
+
+    /**
+     * Registers an event listener. Overrides the default EventTarget method
+     * to track "timeupdate" event listeners.
+     *
+     * @function
+     * @param {String} type The event type
+     * @param {function} listener The event listener
+     */
+    this.addEventListener = function (type, listener) {
+      EventTarget.addEventListener.call(self, type, listener);
+      if ((type === 'timeupdate') &&
+          (timeupdateListeners.indexOf(listener) < 0)) {
+        timeupdateListeners.push(listener);
+        updateTimeUpdateDispatching();
+      }
+    };
+
+
+    /**
+     * Removes an event listener. Overrides the default EventTarget method
+     * to stop dispatching "timeupdate" events when no one listens to them.
+     *
+     * @function
+     * @param {String} type The event type
+     * @param {function} listener The event listener
+     */
+    this.removeEventListener = function (type, listener) {
+      EventTarget.removeEventListener.call(self, type, listener);
+      if ((type === 'timeupdate') &&
+          (timeupdateListeners.indexOf(listener) >= 0)) {
+        timeupdateListeners.splice(timeupdateListeners.indexOf(listener), 1);
+        updateTimeUpdateDispatching();
+      }
+    };
+
+
     /**
      * Returns true when the object is moving, in other words when velocity
      * or acceleration is different from 0.0, else False
@@ -253,7 +484,11 @@ define(function (require) {
               master = true;
               provider = new LocalTimingProvider(
                 previousProvider.query(),
-                previousProvider.range
+                previousProvider.range,
+                {
+                  history: options.history,
+                  tolerance: options.tolerance
+                }
               );
               associateWithTimingProvider(provider);
               logger.info('now associated with local timing provider');
@@ -263,6 +498,60 @@ define(function (require) {
       },
 
 
+      /**
+       * The range within which the motion is constrained, as exposed by the
+       * underlying timing provider object. The motion stops when it reaches
+       * one of the boundaries of the range.
+       */
+      range: {
+        get: function () {
+          return timingProvider.range;
+        }
+      },
+
+      /**
+       * The quality of the synchronization with the online timing service,
+       * as reported by the underlying timing provider object, or null if the
+       * timing provider object does not report any (e.g. when the timing
+       * object is managed locally). See AbstractSyncClock for details.
+       * Changes trigger "qualitychange" events.
+       */
+      quality: {
+        get: function () {
+          return timingProvider.quality || null;
+        }
+      },
+
+      /**
+       * The frequency of "timeupdate" events in Hz, in "interval" mode
+       */
+      timeupdateFrequency: {
+        get: function () {
+          return timeupdateFrequency;
+        },
+        set: function (value) {
+          timeupdateFrequency = value || 5;
+          stopDispatchingTimeUpdateEvents();
+          updateTimeUpdateDispatching();
+        }
+      },
+
+      /**
+       * The "timeupdate" dispatching mode, "interval" to dispatch events at
+       * "timeupdateFrequency", or "frame" to dispatch events on animation
+       * frames
+       */
+      timeupdateMode: {
+        get: function () {
+          return timeupdateMode;
+        },
+        set: function (value) {
+          timeupdateMode = value || 'interval';
+          stopDispatchingTimeUpdateEvents();
+          updateTimeUpdateDispatching();
+        }
+      },
+
       /**
        * Returns the position evaluated at the time when the attribute is read
        */
@@ -292,14 +581,16 @@ define(function (require) {
       }
     });
 
-    // TODO: implement "range"
     // TODO: implement "vector", "previousVector" properties (is that needed?)
     // TODO: implement on... event properties
 
     // Newly created timing object instances are associated with a local timing
     // provider to start with. Set the "srcObject" property to change that
     // behavior afterwards.
-    associateWithTimingProvider(new LocalTimingProvider(vector, range));
+    associateWithTimingProvider(new LocalTimingProvider(vector, range, {
+      history: options.history,
+      tolerance: options.tolerance
+    }));
 
     logger.info('created');
   };
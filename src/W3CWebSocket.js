@@ -0,0 +1,26 @@
+/**
+ * @file The W3C WebSocket constructor: the one of the "websocket" library in
+ * a Node.js environment, the native one in a browser.
+ *
+ * Objects that create Web sockets use that constructor unless they are given
+ * another one, e.g. to run over a virtual network.
+ */
+
+// Ensure "define" is defined in node.js in the absence of require.js
+// See: https://github.com/jrburke/amdefine
+if (typeof define !== 'function') {
+  var define = require('amdefine')(module);
+}
+
+define(function (require) {
+  var W3CWebSocket = null;
+  try {
+    W3CWebSocket = require('websocket').w3cwebsocket;
+  }
+  catch (err) {
+    W3CWebSocket = window.WebSocket;
+  }
+
+  // Expose the constructor to the outer world
+  return W3CWebSocket;
+});
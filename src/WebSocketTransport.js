@@ -0,0 +1,254 @@
+/**
+ * @file A transport that exchanges JSON messages over a WebSocket, to be used
+ * with a MessageSyncClock.
+ *
+ * The WebSocket may be shared with other objects, provided they listen to it
+ * through transports as well. Messages that a listener does not handle are
+ * propagated to the other transports, and eventually to the "onXXX" handlers
+ * that were set on the socket before the first transport started to listen
+ * to it. Errors and close events are propagated to all listeners.
+ */
+
+// Ensure "define" is defined in node.js in the absence of require.js
+// See: https://github.com/jrburke/amdefine
+if (typeof define !== 'function') {
+  var define = require('amdefine')(module);
+}
+
+define(function (require) {
+  var woodman = require('woodman');
+  var logger = woodman.getLogger('WebSocketTransport');
+
+  var stringify = require('./utils').stringify;
+
+  // Web Sockets ready state constants
+  var CONNECTING = 0;
+  var OPEN = 1;
+  var CLOSED = 3;
+
+  // Web socket events that the transports listen to
+  var EVENT_TYPES = ['error', 'open', 'close', 'message'];
+
+
+  /**
+   * Returns the dispatcher that propagates the events of the given Web socket
+   * to the transports that listen to it, attaching it to the socket the
+   * first time.
+   *
+   * The dispatcher is the only listener that gets attached to the socket,
+   * so transports may start and stop listening in any order. Events go to
+   * transports in the order in which they started listening. A message only
+   * goes to the next transport if the previous ones did not handle it.
+   *
+   * NB: calling "addEventListener" does not work in a Node.js environment
+   * because the WebSockets library used only supports basic "onXXX"
+   * constructs. The dispatcher then replaces these handlers, and propagates
+   * events to the handlers that were set on the socket before, if any.
+   *
+   * @function
+   * @private
+   * @param {WebSocket} socket The Web socket
+   * @returns {Object} The dispatcher, with "add" and "remove" functions that
+   *   take the event handlers of a transport
+   */
+  var getDispatcher = function (socket) {
+    var listeners = [];
+    var previousHandlers = {};
+    var dispatcher = null;
+
+    if (socket.transportDispatcher) {
+      return socket.transportDispatcher;
+    }
+
+    var dispatch = function (type, evt) {
+      var propagate = true;
+      listeners.slice().forEach(function (listener) {
+        if (propagate || (type !== 'message')) {
+          propagate = listener[type](evt) && propagate;
+        }
+      });
+      if (propagate && previousHandlers['on' + type]) {
+        previousHandlers['on' + type].call(socket, evt);
+      }
+    };
+
+    dispatcher = {
+      add: function (listener) {
+        listeners.push(listener);
+      },
+      remove: function (listener) {
+        listeners = listeners.filter(function (other) {
+          return other !== listener;
+        });
+      }
+    };
+    Object.defineProperty(socket, 'transportDispatcher', {
+      value: dispatcher
+    });
+
+    EVENT_TYPES.forEach(function (type) {
+      if (socket.addEventListener) {
+        socket.addEventListener(type, function (evt) {
+          dispatch(type, evt);
+        });
+      }
+      else {
+        previousHandlers['on' + type] = socket['on' + type];
+        socket['on' + type] = function (evt) {
+          dispatch(type, evt);
+        };
+      }
+    });
+
+    return dispatcher;
+  };
+
+
+  /**
+   * Creates a transport over the given WebSocket
+   *
+   * @class
+   * @param {WebSocket} socket The Web socket to use as communication channel
+   */
+  var WebSocketTransport = function (socket) {
+    var handlers = null;
+
+    /**
+     * Whether the "close" event was already propagated to the listener.
+     * Errors that close the socket are reported as such right away, the
+     * "close" event that follows must not be propagated again.
+     */
+    var closed = false;
+
+    /**
+     * The underlying Web socket
+     */
+    this.socket = socket;
+
+
+    /**
+     * Helper functions that handle the socket events. They return true when
+     * the event should be propagated to other listeners.
+     */
+    var closeHandler = function () {
+      if (!handlers || closed) {
+        return true;
+      }
+      closed = true;
+      logger.log('WebSocket closed');
+      handlers.close();
+      return true;
+    };
+
+    var errorHandler = function (err) {
+      if (!handlers) {
+        return true;
+      }
+      logger.warn('WebSocket error', err);
+      if (handlers.error) {
+        handlers.error(err);
+      }
+      if (handlers && (socket.readyState === CLOSED)) {
+        closeHandler();
+      }
+      return true;
+    };
+
+    var openHandler = function () {
+      if (!handlers) {
+        return true;
+      }
+      logger.info('WebSocket client connected');
+      handlers.open();
+      return true;
+    };
+
+    var messageHandler = function (evt) {
+      var msg = null;
+
+      if (!handlers) {
+        return true;
+      }
+
+      if (typeof evt.data !== 'string') {
+        logger.log('message from server is not a string, pass on');
+        return true;
+      }
+
+      try {
+        msg = JSON.parse(evt.data) || {};
+      }
+      catch (err) {
+        logger.warn('message from server is not JSON, pass on');
+        return true;
+      }
+
+      return handlers.message(msg);
+    };
+
+    var socketListener = {
+      error: errorHandler,
+      open: openHandler,
+      close: closeHandler,
+      message: messageHandler
+    };
+
+
+    /**
+     * The ready state of the transport, derived from that of the socket
+     */
+    Object.defineProperty(this, 'readyState', {
+      get: function () {
+        if (socket.readyState === CONNECTING) {
+          return 'connecting';
+        }
+        else if (socket.readyState === OPEN) {
+          return 'open';
+        }
+        else {
+          return 'closed';
+        }
+      }
+    });
+
+
+    /**
+     * Sends the given message object to the server
+     *
+     * @function
+     * @param {Object} message The message to send
+     */
+    this.send = function (message) {
+      socket.send(stringify(message));
+    };
+
+
+    /**
+     * Starts listening to the socket
+     *
+     * @function
+     * @param {Object} listener The "open", "close" and "message" handlers,
+     *   and an optional "error" handler. The "close" handler is also called
+     *   when an error closes the socket.
+     */
+    this.listen = function (listener) {
+      handlers = listener;
+      getDispatcher(socket).add(socketListener);
+    };
+
+
+    /**
+     * Stops listening to the socket. The socket remains open.
+     *
+     * @function
+     */
+    this.unlisten = function () {
+      handlers = null;
+      getDispatcher(socket).remove(socketListener);
+    };
+  };
+
+
+  // Expose the class to the outer world
+  return WebSocketTransport;
+});
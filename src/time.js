@@ -0,0 +1,328 @@
+/**
+ * @file The local time source used throughout the library.
+ *
+ * The default source is monotonic: it is based on "performance.now()" in
+ * browsers and on "process.hrtime()" in Node.js, anchored to the wall-clock
+ * time when the module was loaded. Motions therefore do not jump when the
+ * system clock gets adjusted, e.g. when NTP steps the OS clock.
+ *
+ * Timers that the library sets go through the same module, so that the
+ * source may be replaced, typically to run tests against a virtual clock
+ * that advances only when told to and a virtual scheduler that fires timers
+ * according to that clock.
+ */
+
+// Ensure "define" is defined in node.js in the absence of require.js
+// See: https://github.com/jrburke/amdefine
+if (typeof define !== 'function') {
+  var define = require('amdefine')(module);
+}
+
+define(function (require) {
+  /**
+   * Returns the default time source function
+   *
+   * @function
+   * @private
+   * @returns {function} A function that returns the number of milliseconds
+   *   elapsed since 1 January 1970 00:00:00 UTC
+   */
+  var createDefaultSource = function () {
+    var timeOrigin = Date.now();
+    var hrtimeOrigin = null;
+    var performanceOrigin = 0;
+
+    if ((typeof performance !== 'undefined') && performance &&
+        (typeof performance.now === 'function')) {
+      performanceOrigin = performance.now();
+      return function () {
+        return timeOrigin + (performance.now() - performanceOrigin);
+      };
+    }
+    else if ((typeof process !== 'undefined') && process.hrtime) {
+      hrtimeOrigin = process.hrtime();
+      return function () {
+        var elapsed = process.hrtime(hrtimeOrigin);
+        return timeOrigin + elapsed[0] * 1000 + elapsed[1] / 1000000;
+      };
+    }
+    else {
+      return Date.now;
+    }
+  };
+
+
+  /**
+   * The default time source, and the time source in use
+   */
+  var defaultSource = createDefaultSource();
+  var source = defaultSource;
+
+  /**
+   * The default timer functions, and the timer functions in use
+   */
+  var defaultTimers = {
+    setTimeout: function (callback, delay) {
+      return setTimeout(callback, delay);
+    },
+    clearTimeout: function (id) {
+      clearTimeout(id);
+    }
+  };
+  var timers = defaultTimers;
+
+
+  /**
+   * Returns the number of milliseconds elapsed since
+   * 1 January 1970 00:00:00 UTC according to the current time source.
+   *
+   * @function
+   * @returns {Number} The current local time in ms
+   */
+  var now = function () {
+    return source();
+  };
+
+
+  /**
+   * Calls the given function after the given delay, as "setTimeout" does
+   * but according to the current time source.
+   *
+   * @function
+   * @param {function} callback The function to call
+   * @param {Number} delay The delay in ms
+   * @returns {*} The ID of the timer
+   */
+  var setTimer = function (callback, delay) {
+    return timers.setTimeout(callback, delay);
+  };
+
+
+  /**
+   * Cancels a timer set with "setTimeout"
+   *
+   * @function
+   * @param {*} id The ID of the timer
+   */
+  var clearTimer = function (id) {
+    timers.clearTimeout(id);
+  };
+
+
+  /**
+   * Returns true when timers are run by a virtual scheduler
+   *
+   * @function
+   * @returns {Boolean} true when timers are virtual
+   */
+  var isVirtual = function () {
+    return timers !== defaultTimers;
+  };
+
+
+  /**
+   * Replaces the time source
+   *
+   * @function
+   * @param {function|Object} newSource A function that returns the current
+   *   time in ms, or an object with a "now" method such as a virtual clock.
+   *   When the object also has "setTimeout" and "clearTimeout" methods, as a
+   *   virtual scheduler does, timers are set through them as well. The
+   *   default time source and timers are restored if null.
+   */
+  var setSource = function (newSource) {
+    timers = defaultTimers;
+    if (!newSource) {
+      source = defaultSource;
+    }
+    else if (typeof newSource === 'function') {
+      source = newSource;
+    }
+    else {
+      source = function () {
+        return newSource.now();
+      };
+      if (newSource.setTimeout && newSource.clearTimeout) {
+        timers = {
+          setTimeout: function (callback, delay) {
+            return newSource.setTimeout(callback, delay);
+          },
+          clearTimeout: function (id) {
+            newSource.clearTimeout(id);
+          }
+        };
+      }
+    }
+  };
+
+
+  /**
+   * Creates a virtual clock whose time only changes when told to
+   *
+   * @class
+   * @param {Number} time The initial time of the clock in ms (the current
+   *   time of the default source if null)
+   */
+  var VirtualClock = function (time) {
+    this.time = (typeof time === 'number') ? time : defaultSource();
+  };
+
+
+  /**
+   * Returns the current time of the virtual clock
+   *
+   * @function
+   * @returns {Number} The current time in ms
+   */
+  VirtualClock.prototype.now = function () {
+    return this.time;
+  };
+
+
+  /**
+   * Moves the virtual clock forward
+   *
+   * @function
+   * @param {Number} duration The number of milliseconds to advance
+   */
+  VirtualClock.prototype.advance = function (duration) {
+    this.time += duration;
+  };
+
+
+  /**
+   * Sets the time of the virtual clock. Note that this may move the clock
+   * backwards, e.g. to simulate a badly behaved clock.
+   *
+   * @function
+   * @param {Number} time The new time in ms
+   */
+  VirtualClock.prototype.setTime = function (time) {
+    this.time = time;
+  };
+
+
+  /**
+   * Creates a virtual scheduler, in other words a virtual clock that also
+   * runs the timers set through it when it advances.
+   *
+   * Timers run in order of due time, and in order of creation for timers
+   * that are due at the same time. The clock is set to the due time of a
+   * timer when it runs. Promise callbacks that timers trigger are given a
+   * chance to run before the next timer.
+   *
+   * @class
+   * @param {Number} time The initial time of the clock in ms (the current
+   *   time of the default source if null)
+   */
+  var VirtualScheduler = function (time) {
+    VirtualClock.call(this, time);
+
+    /**
+     * The pending timers, and the counter used to generate timer IDs
+     */
+    this.timers = [];
+    this.timerCounter = 0;
+  };
+  VirtualScheduler.prototype = new VirtualClock();
+
+
+  /**
+   * Calls the given function once the clock has advanced by the given delay
+   *
+   * @function
+   * @param {function} callback The function to call
+   * @param {Number} delay The delay in ms
+   * @returns {Number} The ID of the timer
+   */
+  VirtualScheduler.prototype.setTimeout = function (callback, delay) {
+    this.timerCounter += 1;
+    this.timers.push({
+      id: this.timerCounter,
+      due: this.time + Math.max(delay || 0, 0),
+      callback: callback
+    });
+    return this.timerCounter;
+  };
+
+
+  /**
+   * Cancels the timer with the given ID
+   *
+   * @function
+   * @param {Number} id The ID of the timer
+   */
+  VirtualScheduler.prototype.clearTimeout = function (id) {
+    this.timers = this.timers.filter(function (timer) {
+      return timer.id !== id;
+    });
+  };
+
+
+  /**
+   * Advances the clock by the given duration, running the timers that fall
+   * due in the meantime, including those that these timers set.
+   *
+   * @function
+   * @param {Number} duration The number of milliseconds to advance
+   * @returns {Promise} The promise that the clock has advanced
+   */
+  VirtualScheduler.prototype.tick = function (duration) {
+    var self = this;
+    var end = this.time + Math.max(duration || 0, 0);
+
+    // Promise callbacks run before a real macrotask
+    var flush = function () {
+      return new Promise(function (resolve) {
+        if (typeof setImmediate === 'function') {
+          setImmediate(resolve);
+        }
+        else {
+          setTimeout(resolve, 0);
+        }
+      });
+    };
+
+    var runNext = function () {
+      var next = null;
+      self.timers.forEach(function (timer) {
+        if ((timer.due <= end) && (!next || (timer.due < next.due))) {
+          next = timer;
+        }
+      });
+      if (!next) {
+        self.time = end;
+        return;
+      }
+      self.clearTimeout(next.id);
+      self.time = Math.max(self.time, next.due);
+      next.callback();
+      return flush().then(runNext);
+    };
+
+    return flush().then(runNext);
+  };
+
+
+  /**
+   * Returns the number of pending timers
+   *
+   * @function
+   * @returns {Number} The number of timers that have not run yet
+   */
+  VirtualScheduler.prototype.getPendingTimers = function () {
+    return this.timers.length;
+  };
+
+
+  // Expose the time source functions to the outer world
+  return {
+    now: now,
+    setTimeout: setTimer,
+    clearTimeout: clearTimer,
+    isVirtual: isVirtual,
+    setSource: setSource,
+    VirtualClock: VirtualClock,
+    VirtualScheduler: VirtualScheduler
+  };
+});
@@ -0,0 +1,209 @@
+/**
+ * @file Checks the endpoint semantics of intervals and the interval algebra,
+ * in particular around open, closed and infinite bounds.
+ */
+
+var woodman = require('woodman');
+woodman.load({ loggers: [{ level: 'none', appenders: [] }] });
+
+var nodeTest = require('node:test');
+var describe = nodeTest.describe;
+var it = nodeTest.it;
+var assert = require('assert');
+
+var Interval = require('../src/Interval');
+
+
+describe('Interval', function () {
+  /**
+   * Creates an interval from its mathematical notation, e.g. "[0, 1)".
+   * Infinite bounds are written "-Infinity" and "Infinity".
+   */
+  var parse = function (str) {
+    var match = str.match(/^([\[\(])(.+), (.+)([\]\)])$/);
+    return new Interval({
+      low: parseFloat(match[2]),
+      lowInclude: match[1] === '[',
+      high: parseFloat(match[3]),
+      highInclude: match[4] === ']'
+    });
+  };
+
+  var assertInterval = function (interval, expected) {
+    assert.strictEqual(interval ? interval.toString() : null, expected);
+  };
+
+
+  describe('constructor', function () {
+    it('defaults to infinite bounds', function () {
+      var interval = new Interval();
+      assert.ok(interval.isInfinite());
+      assertInterval(interval, '(-Infinity, Infinity)');
+    });
+
+    it('never includes infinite bounds', function () {
+      assertInterval(new Interval({
+        low: -Infinity,
+        lowInclude: true,
+        high: 1,
+        highInclude: true
+      }), '(-Infinity, 1]');
+    });
+
+    it('swaps bounds along with their flags', function () {
+      assertInterval(new Interval({
+        low: 2,
+        lowInclude: true,
+        high: 1
+      }), '(1, 2]');
+    });
+  });
+
+
+  describe('covers', function () {
+    it('follows endpoint semantics', function () {
+      assert.strictEqual(parse('[0, 1)').covers(0), true);
+      assert.strictEqual(parse('[0, 1)').covers(1), false);
+      assert.strictEqual(parse('(0, 1]').covers(0), false);
+      assert.strictEqual(parse('(0, 1]').covers(1), true);
+      assert.strictEqual(parse('[1, 1]').covers(1), true);
+      assert.strictEqual(parse('[1, 1)').covers(1), false);
+      assert.strictEqual(new Interval().covers(Infinity), false);
+    });
+  });
+
+
+  describe('isEmpty and isSingular', function () {
+    it('only consider singular intervals with both bounds included as not empty',
+      function () {
+        assert.strictEqual(parse('[1, 1]').isEmpty(), false);
+        assert.strictEqual(parse('[1, 1)').isEmpty(), true);
+        assert.strictEqual(parse('(1, 1)').isEmpty(), true);
+        assert.strictEqual(parse('(1, 1)').isSingular(), true);
+        assert.strictEqual(parse('(0, 1)').isEmpty(), false);
+      });
+  });
+
+
+  describe('clamp', function () {
+    it('returns the closest bound, even if excluded', function () {
+      assert.strictEqual(parse('(0, 1)').clamp(-1), 0);
+      assert.strictEqual(parse('(0, 1)').clamp(2), 1);
+      assert.strictEqual(parse('(0, 1)').clamp(0.5), 0.5);
+      assert.strictEqual(new Interval({ low: 0 }).clamp(1e9), 1e9);
+    });
+  });
+
+
+  describe('contains', function () {
+    it('compares the inclusion of bounds with the same value', function () {
+      assert.strictEqual(parse('[0, 1]').contains(parse('(0, 1)')), true);
+      assert.strictEqual(parse('(0, 1)').contains(parse('[0, 1)')), false);
+      assert.strictEqual(parse('(0, 1)').contains(parse('(0, 1]')), false);
+      assert.strictEqual(new Interval().contains(parse('[0, 1]')), true);
+    });
+
+    it('contains empty intervals', function () {
+      assert.strictEqual(parse('(0, 1)').contains(parse('(5, 5)')), true);
+      assert.strictEqual(parse('(1, 1)').contains(parse('[1, 1]')), false);
+    });
+  });
+
+
+  describe('intersect and overlaps', function () {
+    it('returns the common part', function () {
+      assertInterval(parse('[0, 2)').intersect(parse('(1, 3]')), '(1, 2)');
+      assertInterval(parse('[0, 2]').intersect(new Interval({ low: 1 })),
+        '(1, 2]');
+    });
+
+    it('returns a singular interval for closed bounds that touch',
+      function () {
+        assertInterval(parse('[0, 1]').intersect(parse('[1, 2]')), '[1, 1]');
+        assert.strictEqual(parse('[0, 1]').overlaps(parse('[1, 2]')), true);
+      });
+
+    it('returns null when an open bound touches the other interval',
+      function () {
+        assertInterval(parse('[0, 1)').intersect(parse('[1, 2]')), null);
+        assertInterval(parse('[0, 1]').intersect(parse('(1, 2]')), null);
+        assert.strictEqual(parse('[0, 1)').overlaps(parse('[1, 2]')), false);
+      });
+
+    it('returns null for disjoint intervals', function () {
+      assertInterval(parse('[0, 1]').intersect(parse('[2, 3]')), null);
+    });
+  });
+
+
+  describe('union', function () {
+    it('merges overlapping intervals', function () {
+      assertInterval(parse('[0, 2)').union(parse('(1, 3]')), '[0, 3]');
+      assertInterval(parse('(0, 1)').union(parse('[0, 1]')), '[0, 1]');
+    });
+
+    it('merges adjacent intervals when one of the bounds is included',
+      function () {
+        assertInterval(parse('[0, 1)').union(parse('[1, 2]')), '[0, 2]');
+        assertInterval(parse('[1, 2]').union(parse('[0, 1)')), '[0, 2]');
+        assertInterval(parse('(0, 1)').union(parse('(1, 2)')), null);
+      });
+
+    it('ignores empty intervals', function () {
+      assertInterval(parse('[0, 1]').union(parse('(5, 5)')), '[0, 1]');
+      assertInterval(parse('(5, 5)').union(parse('[0, 1]')), '[0, 1]');
+      assertInterval(parse('(5, 5)').union(parse('(6, 6)')), null);
+    });
+  });
+
+
+  describe('compare and equals', function () {
+    it('orders intervals by lower bound first', function () {
+      assert.ok(parse('[0, 1]').compare(parse('(0, 1]')) < 0);
+      assert.ok(parse('[0, 1)').compare(parse('[0, 1]')) < 0);
+      assert.ok(parse('[1, 2]').compare(parse('[0, 5]')) > 0);
+      assert.ok(new Interval({ high: 0 }).compare(parse('[-5, 0]')) < 0);
+    });
+
+    it('only considers intervals with the same bounds as equal', function () {
+      assert.strictEqual(parse('[0, 1)').equals(parse('[0, 1)')), true);
+      assert.strictEqual(parse('[0, 1)').equals(parse('[0, 1]')), false);
+      assert.strictEqual(new Interval().equals({}), true);
+    });
+  });
+
+
+  describe('toJSON and fromJSON', function () {
+    it('serializes infinite bounds as null', function () {
+      assert.deepStrictEqual(new Interval({ low: 0 }).toJSON(), {
+        low: 0,
+        lowInclude: false,
+        high: null,
+        highInclude: false
+      });
+    });
+
+    it('round-trips through JSON', function () {
+      ['[0, 1)', '(-Infinity, 1]', '[2, 2]'].forEach(function (str) {
+        var json = JSON.stringify(parse(str));
+        assertInterval(Interval.fromJSON(json), str);
+      });
+      assert.ok(Interval.fromJSON(null).isInfinite());
+    });
+
+    it('rejects invalid serializations', function () {
+      assert.throws(function () {
+        Interval.fromJSON({ low: 'oops' });
+      }, /Invalid interval low bound/);
+      assert.throws(function () {
+        Interval.fromJSON({ high: NaN });
+      }, /Invalid interval high bound/);
+      assert.throws(function () {
+        Interval.fromJSON({ low: 0, lowInclude: 'yes' });
+      }, /Invalid interval lowInclude flag/);
+      assert.throws(function () {
+        Interval.fromJSON(42);
+      }, /Invalid interval/);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * @file Checks that clocks synchronized over "postMessage" notice when the
+ * other end of the channel goes away.
+ */
+
+var woodman = require('woodman');
+woodman.load({ loggers: [{ level: 'none', appenders: [] }] });
+
+var nodeTest = require('node:test');
+var describe = nodeTest.describe;
+var it = nodeTest.it;
+var afterEach = nodeTest.afterEach;
+var assert = require('assert');
+var workerThreads = require('worker_threads');
+
+var time = require('../src/time');
+var MessagePortTransport = require('../src/MessagePortTransport');
+var MessageSyncClock = require('../src/MessageSyncClock');
+
+
+describe('MessagePortTransport', function () {
+  var scheduler = null;
+
+  /**
+   * Creates a clock synchronized over the given port. Sync timers run in
+   * virtual time so that the test may check that none remains.
+   */
+  var createClock = function (port) {
+    scheduler = new time.VirtualScheduler(1e12);
+    time.setSource(scheduler);
+    return new MessageSyncClock('clock', new MessagePortTransport(port));
+  };
+
+  /**
+   * Returns the promise that the clock gets closed, resolved with false if
+   * that does not happen within a second. Events that the clock dispatches
+   * in the meantime are run afterwards.
+   */
+  var waitForClose = function (clock) {
+    var attempts = 0;
+    return new Promise(function (resolve) {
+      var check = function () {
+        attempts += 1;
+        if ((clock.readyState === 'closed') || (attempts > 100)) {
+          resolve(clock.readyState === 'closed');
+          return;
+        }
+        setTimeout(check, 10);
+      };
+      check();
+    }).then(function (result) {
+      return scheduler.tick(1000).then(function () {
+        return result;
+      });
+    });
+  };
+
+  afterEach(function () {
+    time.setSource(null);
+  });
+
+
+  it('closes the clock when the other end of a channel is closed',
+    function () {
+      var channel = new workerThreads.MessageChannel();
+      var clock = createClock(channel.port1);
+      MessageSyncClock.respond(new MessagePortTransport(channel.port2));
+
+      assert.notStrictEqual(clock.readyState, 'closed');
+      assert.ok(scheduler.getPendingTimers() > 0);
+      channel.port2.close();
+      return waitForClose(clock).then(function (result) {
+        assert.strictEqual(result, true);
+        assert.strictEqual(scheduler.getPendingTimers(), 0);
+      });
+    });
+
+
+  it('closes the clock when the worker exits', function () {
+    var worker = new workerThreads.Worker(
+      'require("worker_threads").parentPort.once("message", function () {' +
+      '  process.exit(0);' +
+      '});', { eval: true });
+    var clock = createClock(worker);
+
+    return waitForClose(clock).then(function (result) {
+      assert.strictEqual(result, true);
+      assert.strictEqual(scheduler.getPendingTimers(), 0);
+    });
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * @file Runs socket timing provider objects against the timing server over
+ * an in-memory network, in virtual time, to check the accuracy of the
+ * synchronization, reconnections and transitions across clients.
+ */
+
+var woodman = require('woodman');
+woodman.load({ loggers: [{ level: 'none', appenders: [] }] });
+
+var nodeTest = require('node:test');
+var describe = nodeTest.describe;
+var it = nodeTest.it;
+var afterEach = nodeTest.afterEach;
+var assert = require('assert');
+
+var time = require('../src/time');
+var SocketTimingProvider = require('../src/SocketTimingProvider');
+var SocketTimingProviderFactory =
+  require('../src/SocketTimingProviderFactory');
+var server = require('../server/server');
+var VirtualNetwork = require('../server/VirtualNetwork');
+
+
+describe('SocketTimingProvider', function () {
+  var scheduler = null;
+
+  /**
+   * Runs the server in virtual time and creates a network connected to it.
+   * The server and the clients share the same clock, so the position on the
+   * server at any time may be computed from the virtual time.
+   */
+  var setup = function () {
+    scheduler = new time.VirtualScheduler(1e12);
+    time.setSource(scheduler);
+    server.reset();
+  };
+
+  var createProvider = function (network, id, options) {
+    options = options || {};
+    options.WebSocket = network.WebSocket;
+    return new SocketTimingProvider('ws://example.org/' + id,
+      null, null, options);
+  };
+
+  /**
+   * Creates the timing object with the given ID on the server. Timing
+   * provider objects may only subscribe to existing timing objects.
+   */
+  var createTiming = function (network, id) {
+    var created = null;
+    SocketTimingProviderFactory.create('ws://example.org/' + id, null, null,
+      { WebSocket: network.WebSocket }).then(function (provider) {
+        created = provider;
+      });
+    return scheduler.tick(1000).then(function () {
+      created.close();
+    });
+  };
+
+  var getServerPosition = function (provider) {
+    var vector = provider.serverVector;
+    var elapsed = scheduler.now() / 1000.0 - vector.timestamp;
+    return vector.position + vector.velocity * elapsed +
+      0.5 * vector.acceleration * elapsed * elapsed;
+  };
+
+  afterEach(function () {
+    time.setSource(null);
+  });
+
+
+  it('synchronizes the clock with the server', function () {
+    setup();
+    var network = new VirtualNetwork({ latency: 20, jitter: 5, seed: 42 });
+    var provider = null;
+    var follower = null;
+
+    return createTiming(network, 'sync').then(function () {
+      provider = createProvider(network, 'sync');
+      follower = createProvider(network, 'sync');
+      return scheduler.tick(2000);
+    }).then(function () {
+      assert.strictEqual(provider.readyState, 'open');
+      assert.ok(Math.abs(provider.clock.skew) < 5,
+        'skew is ' + provider.clock.skew + 'ms');
+      assert.ok(provider.quality.errorBound < 30);
+      provider.update({ position: 0, velocity: 1 });
+      return scheduler.tick(10000);
+    }).then(function () {
+      [provider, follower].forEach(function (p) {
+        assert.strictEqual(p.query().velocity, 1);
+        assert.ok(Math.abs(p.query().position - getServerPosition(p)) < 0.005,
+          'position is ' + p.query().position);
+      });
+      provider.close();
+      follower.close();
+      return scheduler.tick(1000);
+    }).then(function () {
+      assert.strictEqual(scheduler.getPendingTimers(), 0);
+    });
+  });
+
+
+  it('extrapolates the motion while reconnecting and catches up with changes',
+    function () {
+      setup();
+      var network = new VirtualNetwork({ latency: 20, seed: 1 });
+      var otherNetwork = new VirtualNetwork({ latency: 20, seed: 2 });
+      var provider = null;
+      var other = null;
+      var states = [];
+      var position = 0;
+
+      return createTiming(network, 'reconnect').then(function () {
+        provider = createProvider(network, 'reconnect',
+          { reconnectDelay: 500 });
+        other = createProvider(otherNetwork, 'reconnect');
+        provider.addEventListener('readystatechange', function (evt) {
+          states.push(evt.value);
+        });
+        return scheduler.tick(2000);
+      }).then(function () {
+        provider.update({ position: 0, velocity: 1 });
+        return scheduler.tick(1000);
+      }).then(function () {
+        network.online = false;
+        network.disconnect();
+        return scheduler.tick(1000);
+      }).then(function () {
+        assert.strictEqual(provider.readyState, 'reconnecting');
+        position = provider.query().position;
+        assert.ok(Math.abs(position - getServerPosition(provider)) < 0.005);
+        other.update({ velocity: 2 });
+        return scheduler.tick(1000);
+      }).then(function () {
+        // The change made in the meantime is not known yet
+        assert.strictEqual(provider.query().velocity, 1);
+        assert.ok(Math.abs(provider.query().position - position - 1) < 0.005);
+        network.online = true;
+        return scheduler.tick(5000);
+      }).then(function () {
+        assert.deepStrictEqual(states, ['open', 'reconnecting', 'open']);
+        assert.strictEqual(provider.query().velocity, 2);
+        assert.ok(Math.abs(provider.query().position -
+          other.query().position) < 0.005);
+        provider.close();
+        other.close();
+        return scheduler.tick(1000);
+      }).then(function () {
+        assert.strictEqual(scheduler.getPendingTimers(), 0);
+      });
+    });
+
+
+  it('cancels transitions when another client updates the motion',
+    function () {
+      setup();
+      var network = new VirtualNetwork({ latency: 20, jitter: 5, seed: 3 });
+      var provider = null;
+      var other = null;
+      var result = null;
+
+      return createTiming(network, 'transition').then(function () {
+        provider = createProvider(network, 'transition');
+        other = createProvider(network, 'transition');
+        return scheduler.tick(2000);
+      }).then(function () {
+        provider.update({ position: 10, velocity: 0 }, { duration: 2 })
+          .then(function (vector) {
+            result = vector;
+          });
+        return scheduler.tick(3000);
+      }).then(function () {
+        // Changes that the steps of the transition cause do not cancel it
+        assert.ok(Math.abs(result.position - 10) < 1e-6);
+        assert.strictEqual(result.velocity, 0);
+        result = null;
+        provider.update({ velocity: 2 }, { duration: 2 })
+          .then(function (vector) {
+            result = vector;
+          });
+        return scheduler.tick(1000);
+      }).then(function () {
+        assert.strictEqual(result, null);
+        other.update({ velocity: 0, acceleration: 0 });
+        return scheduler.tick(3000);
+      }).then(function () {
+        assert.notStrictEqual(result, null);
+        [provider, other].forEach(function (p) {
+          assert.strictEqual(p.query().velocity, 0);
+          assert.strictEqual(p.query().acceleration, 0);
+        });
+        provider.close();
+        other.close();
+        return scheduler.tick(1000);
+      }).then(function () {
+        assert.strictEqual(scheduler.getPendingTimers(), 0);
+      });
+    });
+
+
+  it('gives up after the maximum number of reconnection attempts', function () {
+    setup();
+    var network = new VirtualNetwork({ latency: 20 });
+    var provider = null;
+
+    return createTiming(network, 'giveup').then(function () {
+      provider = createProvider(network, 'giveup', {
+        reconnectDelay: 100,
+        reconnectAttempts: 2
+      });
+      return scheduler.tick(2000);
+    }).then(function () {
+      network.online = false;
+      network.disconnect();
+      return scheduler.tick(5000);
+    }).then(function () {
+      assert.strictEqual(provider.readyState, 'closed');
+      assert.strictEqual(provider.closeReason, 'Connection lost');
+      assert.strictEqual(scheduler.getPendingTimers(), 0);
+    });
+  });
+
+
+  it('closes when the timing object does not exist', function () {
+    setup();
+    var network = new VirtualNetwork({ latency: 20 });
+    var provider = createProvider(network, 'unknown');
+
+    return scheduler.tick(2000).then(function () {
+      assert.strictEqual(provider.readyState, 'closed');
+      assert.strictEqual(provider.closeReason, 'Unknown timing object');
+      assert.strictEqual(scheduler.getPendingTimers(), 0);
+    });
+  });
+
+
+  it('does not re-create deleted timing objects when reconnecting',
+    function () {
+      setup();
+      var network = new VirtualNetwork({ latency: 20 });
+      var otherNetwork = new VirtualNetwork({ latency: 20 });
+      var provider = null;
+      var ids = null;
+
+      return createTiming(network, 'deleted').then(function () {
+        provider = createProvider(network, 'deleted', { reconnectDelay: 500 });
+        return scheduler.tick(2000);
+      }).then(function () {
+        network.online = false;
+        network.disconnect();
+        SocketTimingProviderFactory.delete('ws://example.org/deleted',
+          { WebSocket: otherNetwork.WebSocket });
+        return scheduler.tick(1000);
+      }).then(function () {
+        assert.strictEqual(provider.readyState, 'reconnecting');
+        network.online = true;
+        return scheduler.tick(5000);
+      }).then(function () {
+        assert.strictEqual(provider.readyState, 'closed');
+        assert.strictEqual(provider.closeReason, 'Unknown timing object');
+        SocketTimingProviderFactory.list('ws://example.org/',
+          { WebSocket: otherNetwork.WebSocket }).then(function (list) {
+            ids = list;
+          });
+        return scheduler.tick(1000);
+      }).then(function () {
+        assert.deepStrictEqual(ids, []);
+        assert.strictEqual(scheduler.getPendingTimers(), 0);
+      });
+    });
+});
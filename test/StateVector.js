@@ -0,0 +1,221 @@
+/**
+ * @file Checks the motion solver of state vectors, in particular the edge
+ * cases of the computation of crossings with intervals.
+ */
+
+var woodman = require('woodman');
+woodman.load({ loggers: [{ level: 'none', appenders: [] }] });
+
+var nodeTest = require('node:test');
+var describe = nodeTest.describe;
+var it = nodeTest.it;
+var assert = require('assert');
+
+var StateVector = require('../src/StateVector');
+var Interval = require('../src/Interval');
+
+
+describe('StateVector', function () {
+  var createVector = function (position, velocity, acceleration) {
+    return new StateVector({
+      position: position,
+      velocity: velocity,
+      acceleration: acceleration,
+      timestamp: 10
+    });
+  };
+
+  var assertClose = function (actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9,
+      actual + ' is not close to ' + expected);
+  };
+
+  var assertCrossings = function (crossings, expected) {
+    assert.deepStrictEqual(crossings.map(function (crossing) {
+      return crossing.type + '@' + crossing.position;
+    }), expected.map(function (crossing) {
+      return crossing[0] + '@' + crossing[1];
+    }));
+    crossings.forEach(function (crossing, idx) {
+      assertClose(crossing.timestamp, expected[idx][2]);
+    });
+  };
+
+
+  describe('computeTimestampsAt', function () {
+    it('solves linear motions', function () {
+      var timestamps = createVector(0, 2, 0).computeTimestampsAt(5);
+      assert.strictEqual(timestamps.length, 1);
+      assertClose(timestamps[0], 12.5);
+    });
+
+    it('returns no solution for stationary motions', function () {
+      assert.deepStrictEqual(createVector(0, 0, 0).computeTimestampsAt(0), []);
+    });
+
+    it('returns both solutions in chronological order', function () {
+      var timestamps = createVector(0, 0, 2).computeTimestampsAt(4);
+      assert.strictEqual(timestamps.length, 2);
+      assertClose(timestamps[0], 8);
+      assertClose(timestamps[1], 12);
+    });
+
+    it('returns one solution when the motion touches the position',
+      function () {
+        var timestamps = createVector(0, 2, -1).computeTimestampsAt(2);
+        assert.strictEqual(timestamps.length, 1);
+        assertClose(timestamps[0], 12);
+      });
+
+    it('returns no solution when the motion turns back before the position',
+      function () {
+        assert.deepStrictEqual(createVector(0, 2, -1).computeTimestampsAt(3),
+          []);
+      });
+
+    it('remains accurate when the acceleration is negligible', function () {
+      var timestamps = createVector(0, 1e8, 1).computeTimestampsAt(1);
+      assert.strictEqual(timestamps.length, 2);
+      assertClose(timestamps[1], 10 + 1e-8);
+    });
+  });
+
+
+  describe('computeNextTimestampAt', function () {
+    it('skips solutions before the given time', function () {
+      assertClose(createVector(0, 2, -1).computeNextTimestampAt(0, 11), 14);
+      assert.strictEqual(createVector(0, 2, -1).computeNextTimestampAt(0, 15),
+        null);
+    });
+
+    it('includes a solution at the given time', function () {
+      assertClose(createVector(0, 1, 0).computeNextTimestampAt(0), 10);
+    });
+  });
+
+
+  describe('computeNextTimestampAtVelocity', function () {
+    it('solves accelerated motions', function () {
+      assertClose(createVector(0, 1, 2).computeNextTimestampAtVelocity(5), 12);
+      assert.strictEqual(
+        createVector(0, 1, 2).computeNextTimestampAtVelocity(-1), null);
+    });
+
+    it('returns null without acceleration', function () {
+      assert.strictEqual(
+        createVector(0, 1, 0).computeNextTimestampAtVelocity(1), null);
+    });
+  });
+
+
+  describe('computeCrossings', function () {
+    var closed = new Interval({
+      low: 2, lowInclude: true,
+      high: 4, highInclude: true
+    });
+
+    it('enters and exits intervals', function () {
+      assertCrossings(createVector(0, 1, 0).computeCrossings(closed),
+        [['enter', 2, 12], ['exit', 4, 14]]);
+      assertCrossings(createVector(6, -1, 0).computeCrossings(closed),
+        [['enter', 4, 12], ['exit', 2, 14]]);
+    });
+
+    it('goes through point intervals', function () {
+      var point = new Interval({
+        low: 2, lowInclude: true,
+        high: 2, highInclude: true
+      });
+      assertCrossings(createVector(0, 1, 0).computeCrossings(point),
+        [['pass', 2, 12]]);
+      assert.deepStrictEqual(
+        createVector(0, 1, 0).computeCrossings(new Interval({
+          low: 2,
+          high: 2
+        })), []);
+    });
+
+    it('touches included boundaries before turning back', function () {
+      assertCrossings(
+        createVector(0, 2, -1).computeCrossings(new Interval({
+          low: 2, lowInclude: true,
+          high: 5
+        })),
+        [['pass', 2, 12]]);
+      assert.deepStrictEqual(
+        createVector(0, 2, -1).computeCrossings(new Interval({
+          low: 2,
+          high: 5
+        })), []);
+    });
+
+    it('stays in intervals whose boundary the motion touches from inside',
+      function () {
+        assertCrossings(
+          createVector(0, 2, -1).computeCrossings(new Interval({
+            low: -1,
+            high: 2, highInclude: true
+          })),
+          [['exit', -1, 12 + Math.sqrt(6)]]);
+      });
+
+    it('enters intervals at the vector timestamp from a boundary',
+      function () {
+        assertCrossings(createVector(2, 1, 0).computeCrossings(closed),
+          [['enter', 2, 10], ['exit', 4, 12]]);
+        assertCrossings(
+          createVector(2, 1, 0).computeCrossings(new Interval({
+            low: 2,
+            high: 4
+          })),
+          [['enter', 2, 10], ['exit', 4, 12]]);
+      });
+
+    it('exits intervals at the vector timestamp from a boundary',
+      function () {
+        assertCrossings(createVector(4, 1, 0).computeCrossings(closed),
+          [['exit', 4, 10]]);
+      });
+
+    it('only returns crossings between the given times', function () {
+      var interval = new Interval({ low: 2, high: 8 });
+      assertCrossings(createVector(0, 1, 0).computeCrossings(interval, 11, 16),
+        [['enter', 2, 12]]);
+      assert.deepStrictEqual(
+        createVector(0, 1, 0).computeCrossings(interval, 13, 17), []);
+    });
+
+    it('ignores infinite boundaries', function () {
+      assertCrossings(
+        createVector(0, 1, 0).computeCrossings(new Interval({ low: 2 })),
+        [['enter', 2, 12]]);
+    });
+
+    it('returns no crossing for stationary motions', function () {
+      assert.deepStrictEqual(createVector(3, 0, 0).computeCrossings(closed),
+        []);
+    });
+  });
+
+
+  describe('computeNextTimestampEntering and computeNextTimestampLeaving',
+    function () {
+      var interval = new Interval({ low: 2, high: 4 });
+
+      it('return the next entry and exit', function () {
+        assertClose(createVector(0, 1, 0).computeNextTimestampEntering(interval),
+          12);
+        assertClose(createVector(0, 1, 0).computeNextTimestampLeaving(interval),
+          14);
+        assertClose(createVector(3, 1, 0).computeNextTimestampLeaving(interval),
+          11);
+      });
+
+      it('return null when there is no such crossing', function () {
+        assert.strictEqual(
+          createVector(5, 1, 0).computeNextTimestampEntering(interval), null);
+        assert.strictEqual(
+          createVector(3, 0, 0).computeNextTimestampLeaving(interval), null);
+      });
+    });
+});
@@ -0,0 +1,68 @@
+/**
+ * @file Checks the in-memory network that tests use to connect clients to
+ * the timing server.
+ */
+
+var woodman = require('woodman');
+woodman.load({ loggers: [{ level: 'none', appenders: [] }] });
+
+var nodeTest = require('node:test');
+var describe = nodeTest.describe;
+var it = nodeTest.it;
+var afterEach = nodeTest.afterEach;
+var assert = require('assert');
+
+var time = require('../src/time');
+var VirtualNetwork = require('../server/VirtualNetwork');
+
+
+describe('VirtualNetwork', function () {
+  afterEach(function () {
+    time.setSource(null);
+  });
+
+
+  it('delivers messages in order despite jitter', function () {
+    var scheduler = new time.VirtualScheduler(1e12);
+    time.setSource(scheduler);
+
+    // Server that echoes the messages it receives
+    var serverReceived = [];
+    var echoServer = {
+      acceptConnection: function (connection) {
+        connection.on('message', function (message) {
+          serverReceived.push(message.utf8Data);
+          connection.sendUTF(message.utf8Data);
+        });
+      }
+    };
+
+    var network = new VirtualNetwork({
+      latency: 20,
+      jitter: 10,
+      seed: 7,
+      server: echoServer
+    });
+    var socket = new network.WebSocket('ws://example.org/echo');
+    var sent = [];
+    var clientReceived = [];
+
+    socket.onopen = function () {
+      var i = 0;
+      for (i = 0; i < 20; i++) {
+        sent.push('msg' + i);
+        socket.send('msg' + i);
+      }
+    };
+    socket.onmessage = function (evt) {
+      clientReceived.push(evt.data);
+    };
+
+    return scheduler.tick(1000).then(function () {
+      assert.deepStrictEqual(serverReceived, sent);
+      assert.deepStrictEqual(clientReceived, sent);
+      socket.close();
+      assert.strictEqual(scheduler.getPendingTimers(), 0);
+    });
+  });
+});